@@ -51,15 +51,35 @@ export default {
     rateLimitTimeWindow: parseInt(env.RATE_LIMIT_TIMEWINDOW, 10) || 60000,
   },
   
+  ingest: {
+    // ignore | update | reject — what to do when an item was already ingested
+    duplicatePolicy: env.INGEST_DUPLICATE_POLICY || 'ignore',
+    maxBatchSize: parseInt(env.INGEST_MAX_BATCH_SIZE, 10) || 100,
+    // Images of all items of a batch together; each one is also limited by MAX_FILE_SIZE
+    maxBatchImageBytes: parseInt(env.INGEST_MAX_BATCH_IMAGE_BYTES, 10) || 50 * 1024 * 1024, // 50MB
+    // Shared secret for HMAC-signed requests (X-Signature/X-Timestamp); empty disables them
+    signingSecret: env.INGEST_SIGNING_SECRET || '',
+    signatureTolerance: parseInt(env.INGEST_SIGNATURE_TOLERANCE, 10) || 300, // seconds
+  },
+
   rss: {
     feedSize: parseInt(env.RSS_FEED_SIZE, 10) || 50,
     cacheTtl: parseInt(env.RSS_CACHE_TTL, 10) || 300000, // 5 minutes
   },
 
+  site: {
+    // false serves a robots.txt that disallows everything and marks public pages noindex
+    indexing: env.SITE_INDEXING !== 'false',
+    pageSize: parseInt(env.SITE_PAGE_SIZE, 10) || 20,
+    sitemapLimit: parseInt(env.SITE_SITEMAP_LIMIT, 10) || 50000,
+  },
+
   openai: {
     apiKey: env.OPENAI_API_KEY || '',
+    baseUrl: (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, ''),
     imageModel: env.OPENAI_IMAGE_MODEL || 'gpt-image-1',
     textModel: env.OPENAI_TEXT_MODEL || 'gpt-4o-mini',
+    textTimeoutMs: parseInt(env.OPENAI_TEXT_TIMEOUT_MS, 10) || 60000,
     size: env.OPENAI_IMAGE_SIZE || '1024x1024',
     quality: env.OPENAI_IMAGE_QUALITY || 'high',
     outputFormat: env.OPENAI_IMAGE_FORMAT || 'png',
@@ -81,4 +101,35 @@ export default {
     maxPerHour: parseInt(env.MAGIC_LINK_MAX_PER_HOUR, 10) || 10,
     rateLimit: parseInt(env.MAGIC_LINK_RATE_LIMIT, 10) || 20,
   },
+
+  feeds: {
+    pollerEnabled: env.FEED_POLLER_ENABLED !== 'false',
+    tickMs: parseInt(env.FEED_POLLER_INTERVAL_MS, 10) || 60000,
+    fetchTimeoutMs: parseInt(env.FEED_FETCH_TIMEOUT_MS, 10) || 15000,
+    maxFeedBytes: parseInt(env.FEED_MAX_BYTES, 10) || 5 * 1024 * 1024, // 5MB
+  },
+
+  websub: {
+    // Advertise /websub as hub in the feeds and push updates to subscribers
+    enabled: env.WEBSUB_ENABLED !== 'false',
+    defaultLeaseSeconds: parseInt(env.WEBSUB_DEFAULT_LEASE_SECONDS, 10) || 10 * 24 * 60 * 60, // 10 days
+    maxLeaseSeconds: parseInt(env.WEBSUB_MAX_LEASE_SECONDS, 10) || 30 * 24 * 60 * 60, // 30 days
+    maxAttempts: parseInt(env.WEBSUB_MAX_ATTEMPTS, 10) || 6,
+    retryBaseSeconds: parseInt(env.WEBSUB_RETRY_BASE_SECONDS, 10) || 60, // doubled after every failed attempt
+    timeoutMs: parseInt(env.WEBSUB_TIMEOUT_MS, 10) || 10000,
+    pollIntervalMs: parseInt(env.WEBSUB_POLL_INTERVAL_MS, 10) || 15000,
+  },
+
+  trash: {
+    // Trashed posts are purged with their media files after this many days
+    retentionDays: parseInt(env.TRASH_RETENTION_DAYS, 10) || 30,
+    purgeIntervalMs: parseInt(env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000, // 1 hour
+  },
+
+  webhooks: {
+    maxAttempts: parseInt(env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    retryBaseSeconds: parseInt(env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30, // doubled after every failed attempt
+    timeoutMs: parseInt(env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    pollIntervalMs: parseInt(env.WEBHOOK_POLL_INTERVAL_MS, 10) || 15000,
+  },
 };
@@ -38,12 +38,22 @@ export function runMigrations() {
 
     console.log(`🔄 Applying migration: ${name}`);
     
+    // Foreign keys stay off while a migration runs: rebuilding a table (the only way to change a CHECK constraint)
+    // drops the old one, which would otherwise cascade into its child rows. The pragma is a no-op inside a transaction.
+    db.pragma('foreign_keys = OFF');
+
     try {
       const sql = readFileSync(join(migrationsDir, file), 'utf8');
       
       // Run migration in transaction
       db.exec('BEGIN TRANSACTION');
       db.exec(sql);
+
+      const violations = db.pragma('foreign_key_check');
+      if (violations.length > 0) {
+        throw new Error(`Foreign key violations in ${violations.map(v => v.table).join(', ')}`);
+      }
+
       db.prepare('INSERT INTO migrations (name) VALUES (?)').run(name);
       db.exec('COMMIT');
       
@@ -52,6 +62,8 @@ export function runMigrations() {
       db.exec('ROLLBACK');
       console.error(`❌ Failed to apply migration ${name}:`, err.message);
       throw err;
+    } finally {
+      db.pragma('foreign_keys = ON');
     }
   }
 
@@ -0,0 +1,25 @@
+-- Idempotent ingest: recognise retried deliveries of the same item
+-- Posts are keyed on (client_key, source, ext_id) and optionally on an Idempotency-Key header
+
+ALTER TABLE posts ADD COLUMN idempotency_key TEXT;
+
+-- Step 1: Detach duplicates created by earlier retries so the unique index can be built.
+-- The oldest post keeps the original ext_id, later copies get "#<id>" appended.
+UPDATE posts
+SET ext_id = ext_id || '#' || id
+WHERE ext_id IS NOT NULL
+  AND id NOT IN (
+    SELECT MIN(id)
+    FROM posts
+    WHERE ext_id IS NOT NULL
+    GROUP BY COALESCE(client_key, ''), COALESCE(source, ''), ext_id
+  );
+
+-- Step 2: Unique indexes (NULL client_key/source are treated as empty strings)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_posts_source_ext_id
+  ON posts(COALESCE(client_key, ''), COALESCE(source, ''), ext_id)
+  WHERE ext_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_posts_idempotency_key
+  ON posts(idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
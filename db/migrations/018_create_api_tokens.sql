@@ -0,0 +1,19 @@
+-- Per-client API tokens for the ingest API
+-- Only the SHA-256 hash of a token is stored; the plain token is shown once when issued
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  token_prefix TEXT NOT NULL,
+  scopes TEXT NOT NULL,              -- comma-separated: ingest, rss-to-linkedin, read
+  expires_at DATETIME NULL,
+  last_used_at DATETIME NULL,
+  last_used_ip TEXT NULL,
+  revoked_at DATETIME NULL,
+  created_by TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_token_hash ON api_tokens(token_hash);
@@ -0,0 +1,8 @@
+-- Replay protection for HMAC-signed ingest requests
+-- Every accepted signature is remembered until its timestamp falls out of the tolerance window
+CREATE TABLE IF NOT EXISTS ingest_nonces (
+  nonce TEXT PRIMARY KEY,           -- hex HMAC of the accepted request
+  expires_at INTEGER NOT NULL       -- unix seconds
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingest_nonces_expires_at ON ingest_nonces(expires_at);
@@ -0,0 +1,33 @@
+-- Outbound webhooks: registered endpoints and their delivery queue
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,              -- HMAC key for X-Webhook-Signature, shared with the receiver
+  events TEXT NOT NULL,              -- comma-separated: post.created, post.published, ...
+  description TEXT NULL,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_by TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per event and endpoint; retried with exponential backoff until delivered or failed
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload TEXT NOT NULL,             -- JSON body sent to the endpoint
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at DATETIME NULL,
+  last_attempt_at DATETIME NULL,
+  response_status INTEGER NULL,
+  response_body TEXT NULL,
+  error TEXT NULL,
+  redelivery_of INTEGER NULL REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  delivered_at DATETIME NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_queue ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id);
@@ -0,0 +1,38 @@
+-- Built-in RSS/Atom poller (replaces the Make "Step 1" scenario)
+CREATE TABLE IF NOT EXISTS feed_sources (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  url TEXT NOT NULL UNIQUE,
+  client_key TEXT NULL,              -- posts are created for this client
+  tag TEXT NULL,
+  active INTEGER NOT NULL DEFAULT 1,
+  poll_interval_minutes INTEGER NOT NULL DEFAULT 60,
+  max_items INTEGER NOT NULL DEFAULT 5,  -- newest items considered per poll
+  etag TEXT NULL,
+  last_modified TEXT NULL,
+  last_polled_at DATETIME NULL,
+  next_poll_at DATETIME NULL,
+  last_status TEXT NULL CHECK (last_status IN ('ok', 'not_modified', 'error')),
+  last_error TEXT NULL,
+  created_by TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every item the poller has seen, keyed by GUID per source
+CREATE TABLE IF NOT EXISTS feed_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  feed_source_id INTEGER NOT NULL REFERENCES feed_sources(id) ON DELETE CASCADE,
+  guid TEXT NOT NULL,
+  link TEXT NULL,
+  title TEXT NULL,
+  published_at DATETIME NULL,
+  status TEXT NOT NULL DEFAULT 'seen' CHECK (status IN ('seen', 'ingested', 'duplicate', 'failed')),
+  post_id INTEGER NULL REFERENCES posts(id) ON DELETE SET NULL,
+  error TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (feed_source_id, guid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_sources_next_poll ON feed_sources(active, next_poll_at);
+CREATE INDEX IF NOT EXISTS idx_feed_items_source ON feed_items(feed_source_id, created_at);
@@ -0,0 +1,34 @@
+-- WebSub hub: verified subscriptions to our feeds and the queue of content pushes
+CREATE TABLE IF NOT EXISTS websub_subscriptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  topic TEXT NOT NULL,               -- feed URL, e.g. https://example.com/rss.xml
+  callback TEXT NOT NULL,            -- subscriber URL that receives the pushes
+  secret TEXT NULL,                  -- hub.secret for X-Hub-Signature, optional
+  lease_seconds INTEGER NOT NULL,
+  expires_at DATETIME NOT NULL,
+  last_etag TEXT NULL,               -- ETag of the last pushed content, skips pushes without changes
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (topic, callback)
+);
+
+CREATE INDEX IF NOT EXISTS idx_websub_subscriptions_expires_at ON websub_subscriptions(expires_at);
+
+-- One pending push per subscription; newer content replaces the queued body
+CREATE TABLE IF NOT EXISTS websub_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  subscription_id INTEGER NOT NULL REFERENCES websub_subscriptions(id) ON DELETE CASCADE,
+  content_type TEXT NOT NULL,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at DATETIME NULL,
+  last_attempt_at DATETIME NULL,
+  response_status INTEGER NULL,
+  error TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  delivered_at DATETIME NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_websub_deliveries_queue ON websub_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_websub_deliveries_subscription_id ON websub_deliveries(subscription_id);
@@ -0,0 +1,23 @@
+-- Channel metadata of the public feeds: instance defaults (client_key NULL) and per-client overrides
+-- Empty override fields fall back to the defaults
+CREATE TABLE IF NOT EXISTS feed_channel_settings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  client_key TEXT NULL,
+  title TEXT NULL,
+  description TEXT NULL,
+  language TEXT NULL,                -- BCP 47 tag, e.g. de or de-DE
+  copyright TEXT NULL,
+  image_url TEXT NULL,               -- absolute URL or path on this site
+  ttl INTEGER NULL,                  -- minutes readers may cache the feed
+  updated_by TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_feed_channel_settings_client
+  ON feed_channel_settings(client_key) WHERE client_key IS NOT NULL;
+
+-- Instance defaults, previously hard-coded in lib/rssBuilder.js
+INSERT INTO feed_channel_settings (client_key, title, description, language, image_url)
+SELECT NULL, 'Square Publisher Feed', 'Recent posts', 'de', '/public/img/logo.png'
+WHERE NOT EXISTS (SELECT 1 FROM feed_channel_settings WHERE client_key IS NULL);
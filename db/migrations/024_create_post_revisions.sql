@@ -0,0 +1,22 @@
+-- Snapshot of the editable fields of a post after every change
+CREATE TABLE IF NOT EXISTS post_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,          -- posts.version at the time of the snapshot
+  title TEXT NULL,
+  text TEXT NOT NULL,
+  tag TEXT NULL,
+  link TEXT NULL,
+  cover_media_id INTEGER NULL,
+  reason TEXT NOT NULL,              -- initial, ingest_created, ingest_updated, updated, cover_changed, auto_published, restored
+  actor TEXT NULL,
+  restored_from INTEGER NULL REFERENCES post_revisions(id) ON DELETE SET NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_revisions_post ON post_revisions(post_id, id);
+
+-- Existing posts start their history with their current state
+INSERT INTO post_revisions (post_id, version, title, text, tag, link, cover_media_id, reason, actor, created_at)
+SELECT id, version, title, text, tag, link, cover_media_id, 'initial', 'system', COALESCE(datetime(updated_at), CURRENT_TIMESTAMP)
+FROM posts;
@@ -0,0 +1,34 @@
+-- Full-text index over posts, stored as an external content table so the text is not duplicated.
+-- unicode61 with remove_diacritics 2 folds umlauts and accents: "uber" finds "Über", "cafe" finds "Café".
+-- Prefix indexes keep prefix queries ("Steuer*") fast.
+CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts USING fts5(
+  title,
+  text,
+  summary,
+  tag,
+  content = 'posts',
+  content_rowid = 'id',
+  tokenize = 'unicode61 remove_diacritics 2',
+  prefix = '2 3'
+);
+
+-- Keep the index in sync with posts
+CREATE TRIGGER IF NOT EXISTS posts_fts_insert AFTER INSERT ON posts BEGIN
+  INSERT INTO posts_fts (rowid, title, text, summary, tag)
+  VALUES (new.id, new.title, new.text, new.summary, new.tag);
+END;
+
+CREATE TRIGGER IF NOT EXISTS posts_fts_delete AFTER DELETE ON posts BEGIN
+  INSERT INTO posts_fts (posts_fts, rowid, title, text, summary, tag)
+  VALUES ('delete', old.id, old.title, old.text, old.summary, old.tag);
+END;
+
+CREATE TRIGGER IF NOT EXISTS posts_fts_update AFTER UPDATE OF title, text, summary, tag ON posts BEGIN
+  INSERT INTO posts_fts (posts_fts, rowid, title, text, summary, tag)
+  VALUES ('delete', old.id, old.title, old.text, old.summary, old.tag);
+  INSERT INTO posts_fts (rowid, title, text, summary, tag)
+  VALUES (new.id, new.title, new.text, new.summary, new.tag);
+END;
+
+-- Index the existing posts
+INSERT INTO posts_fts (posts_fts) VALUES ('rebuild');
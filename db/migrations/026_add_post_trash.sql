@@ -0,0 +1,5 @@
+-- Soft delete: trashed posts keep their status and are hidden until restored or purged
+ALTER TABLE posts ADD COLUMN deleted_at DATETIME NULL;
+ALTER TABLE posts ADD COLUMN deleted_by TEXT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_posts_deleted_at ON posts(deleted_at);
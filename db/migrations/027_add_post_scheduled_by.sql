@@ -0,0 +1,2 @@
+-- Who picked the publish time; NULL for auto-publish schedules that wait for moderation
+ALTER TABLE posts ADD COLUMN scheduled_by TEXT NULL;
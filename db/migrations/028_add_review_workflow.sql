@@ -0,0 +1,108 @@
+-- Editorial review: 'in_review' and 'approved' statuses, the reviewer role and who submitted and reviewed a post
+-- SQLite requires table recreation to modify CHECK constraints; the runner keeps foreign keys off meanwhile,
+-- so media, revisions and audit entries stay attached to the rebuilt tables
+
+-- Step 1: posts with the review statuses and fields
+CREATE TABLE posts_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug TEXT NOT NULL UNIQUE,
+  title TEXT,
+  text TEXT NOT NULL,
+  summary TEXT,
+  status TEXT NOT NULL DEFAULT 'draft'
+    CHECK(status IN ('draft', 'in_review', 'approved', 'published', 'archived', 'warning')),
+  version INTEGER NOT NULL DEFAULT 1,
+  pub_date DATETIME,
+  cover_media_id INTEGER,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  source TEXT,
+  ext_id TEXT,
+  tag TEXT,
+  link TEXT,
+  client_key TEXT,
+  publish_at DATETIME,
+  moderation_checked_at DATETIME,
+  moderation_reason TEXT,
+  idempotency_key TEXT,
+  deleted_at DATETIME NULL,
+  deleted_by TEXT NULL,
+  scheduled_by TEXT NULL,
+  submitted_by TEXT NULL,
+  submitted_at DATETIME NULL,
+  reviewed_by TEXT NULL,
+  reviewed_at DATETIME NULL,
+  review_decision TEXT NULL CHECK(review_decision IN ('approved', 'changes_requested')),
+  review_comment TEXT NULL
+);
+
+INSERT INTO posts_new (
+  id, slug, title, text, summary, status, version, pub_date, cover_media_id,
+  created_at, updated_at, source, ext_id, tag, link, client_key,
+  publish_at, moderation_checked_at, moderation_reason, idempotency_key,
+  deleted_at, deleted_by, scheduled_by
+)
+SELECT
+  id, slug, title, text, summary, status, version, pub_date, cover_media_id,
+  created_at, updated_at, source, ext_id, tag, link, client_key,
+  publish_at, moderation_checked_at, moderation_reason, idempotency_key,
+  deleted_at, deleted_by, scheduled_by
+FROM posts;
+
+DROP TABLE posts;
+ALTER TABLE posts_new RENAME TO posts;
+
+CREATE INDEX IF NOT EXISTS idx_posts_slug ON posts(slug);
+CREATE INDEX IF NOT EXISTS idx_posts_status ON posts(status);
+CREATE INDEX IF NOT EXISTS idx_posts_pub_date ON posts(pub_date DESC);
+CREATE INDEX IF NOT EXISTS idx_posts_client_key ON posts(client_key);
+CREATE INDEX IF NOT EXISTS idx_posts_publish_at ON posts(publish_at);
+CREATE INDEX IF NOT EXISTS idx_posts_deleted_at ON posts(deleted_at);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_posts_source_ext_id
+  ON posts(COALESCE(client_key, ''), COALESCE(source, ''), ext_id)
+  WHERE ext_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_posts_idempotency_key
+  ON posts(idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+-- The search index keeps its rows (same ids); only the triggers went with the old table
+CREATE TRIGGER posts_fts_insert AFTER INSERT ON posts BEGIN
+  INSERT INTO posts_fts (rowid, title, text, summary, tag)
+  VALUES (new.id, new.title, new.text, new.summary, new.tag);
+END;
+
+CREATE TRIGGER posts_fts_delete AFTER DELETE ON posts BEGIN
+  INSERT INTO posts_fts (posts_fts, rowid, title, text, summary, tag)
+  VALUES ('delete', old.id, old.title, old.text, old.summary, old.tag);
+END;
+
+CREATE TRIGGER posts_fts_update AFTER UPDATE OF title, text, summary, tag ON posts BEGIN
+  INSERT INTO posts_fts (posts_fts, rowid, title, text, summary, tag)
+  VALUES ('delete', old.id, old.title, old.text, old.summary, old.tag);
+  INSERT INTO posts_fts (rowid, title, text, summary, tag)
+  VALUES (new.id, new.title, new.text, new.summary, new.tag);
+END;
+
+-- Step 2: users with the reviewer role
+CREATE TABLE users_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'editor' CHECK(role IN ('admin', 'editor', 'reviewer')),
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_login_at DATETIME,
+  client_key TEXT,
+  auto_publish_enabled INTEGER NOT NULL DEFAULT 0,
+  name TEXT
+);
+
+INSERT INTO users_new (id, email, password_hash, role, created_at, last_login_at, client_key, auto_publish_enabled, name)
+SELECT id, email, password_hash, role, created_at, last_login_at, client_key, auto_publish_enabled, name
+FROM users;
+
+DROP TABLE users;
+ALTER TABLE users_new RENAME TO users;
+
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
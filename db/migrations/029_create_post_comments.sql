@@ -0,0 +1,18 @@
+-- Internal discussion on a post, never shown on the public site
+CREATE TABLE IF NOT EXISTS post_comments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  author TEXT NOT NULL,              -- email of the user who wrote it
+  body TEXT NOT NULL,                -- markdown
+  mentions TEXT NULL,                -- JSON array of the mentioned users' emails
+  anchor_field TEXT NULL CHECK(anchor_field IN ('title', 'text')),
+  anchor_start INTEGER NULL,         -- selection in the field when the comment was written
+  anchor_end INTEGER NULL,
+  anchor_text TEXT NULL,             -- the selected text, to find it again after edits
+  resolved_at DATETIME NULL,
+  resolved_by TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_comments_post ON post_comments(post_id, id);
+CREATE INDEX IF NOT EXISTS idx_post_comments_open ON post_comments(post_id) WHERE resolved_at IS NULL;
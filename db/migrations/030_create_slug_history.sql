@@ -0,0 +1,10 @@
+-- Slugs a post had before; /p/:slug redirects them to the current slug and the first one stays the feed GUID
+CREATE TABLE IF NOT EXISTS slug_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  slug TEXT NOT NULL UNIQUE,         -- the old slug; never handed to another post
+  changed_by TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_slug_history_post ON slug_history(post_id, id);
@@ -0,0 +1,6 @@
+-- Idempotency keys are per client: the same key sent by two clients names two different posts
+DROP INDEX IF EXISTS idx_posts_idempotency_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_posts_idempotency_key
+  ON posts(COALESCE(client_key, ''), idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
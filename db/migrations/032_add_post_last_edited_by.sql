@@ -0,0 +1,2 @@
+-- Who last changed the content of a post; they do not approve it (four eyes)
+ALTER TABLE posts ADD COLUMN last_edited_by TEXT NULL;
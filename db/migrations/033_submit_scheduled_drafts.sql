@@ -0,0 +1,17 @@
+-- Drafts that auto-publish or a user scheduled before the review workflow would otherwise wait as drafts forever;
+-- put them in the review queue with their publish time, so they go out once a reviewer approves them
+INSERT INTO audit_log (post_id, actor, action, payload)
+SELECT id, 'system', 'post_submitted_for_review', '{"previous_status":"draft","comment":"Scheduled before the review workflow"}'
+FROM posts
+WHERE status = 'draft'
+  AND publish_at IS NOT NULL
+  AND deleted_at IS NULL;
+
+UPDATE posts
+SET status = 'in_review',
+    submitted_by = 'system',
+    submitted_at = CURRENT_TIMESTAMP,
+    updated_at = CURRENT_TIMESTAMP
+WHERE status = 'draft'
+  AND publish_at IS NOT NULL
+  AND deleted_at IS NULL;
@@ -0,0 +1,12 @@
+-- Archive page (RFC 5005) each post was filed under, per feed ('all', 'client:<key>', 'tag:<tag>');
+-- a page is filled once and keeps its posts, so later pages do not shift when an older post goes away
+CREATE TABLE IF NOT EXISTS feed_archive_pages (
+  feed_key TEXT NOT NULL,
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  page INTEGER NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (feed_key, post_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_archive_pages_page ON feed_archive_pages(feed_key, page);
+CREATE INDEX IF NOT EXISTS idx_feed_archive_pages_post ON feed_archive_pages(post_id);
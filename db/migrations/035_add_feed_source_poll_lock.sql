@@ -0,0 +1,2 @@
+-- When a poll of the source started; set while it runs so the worker, a manual poll and the CLI never poll it twice
+ALTER TABLE feed_sources ADD COLUMN polling_since DATETIME NULL;
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import { getDb } from '../db/index.js';
+
+export const API_TOKEN_SCOPES = ['ingest', 'rss-to-linkedin', 'read'];
+
+const TOKEN_PREFIX = 'sp_';
+
+/**
+ * Hash a plain token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a new API token for a user
+ * @param {number} userId - Owner user ID
+ * @param {object} options
+ * @param {string} options.name - Label shown in the admin UI
+ * @param {string[]} options.scopes - Granted scopes
+ * @param {number|null} [options.expiresInDays] - Days until expiry, null for no expiry
+ * @param {string|null} [options.createdBy] - Email of the issuing admin
+ * @returns {{id: number, token: string, prefix: string}} The plain token is only available here
+ */
+export function createApiToken(userId, { name, scopes, expiresInDays = null, createdBy = null }) {
+  const db = getDb();
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+  const prefix = token.slice(0, 10);
+
+  const result = db.prepare(`
+    INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at, created_by)
+    VALUES (?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', '+' || ? || ' days') END, ?)
+  `).run(userId, name, hashApiToken(token), prefix, scopes.join(','), expiresInDays, expiresInDays, createdBy);
+
+  return { id: result.lastInsertRowid, token, prefix };
+}
+
+/**
+ * Find an API token by its plain value
+ * @param {string} token - Plain token from the Authorization header
+ * @returns {object|null} { valid: true, record } | { error: 'revoked'|'expired', record } | null
+ */
+export function findApiToken(token) {
+  const db = getDb();
+
+  const record = db.prepare(`
+    SELECT
+      t.id,
+      t.user_id,
+      t.name,
+      t.scopes,
+      t.expires_at,
+      t.revoked_at,
+      u.email,
+      u.client_key
+    FROM api_tokens t
+    JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = ?
+  `).get(hashApiToken(token));
+
+  if (!record) {
+    return null;
+  }
+
+  record.scopes = record.scopes.split(',').filter(Boolean);
+
+  if (record.revoked_at) {
+    return { error: 'revoked', record };
+  }
+
+  if (record.expires_at && new Date(record.expires_at + 'Z') < new Date()) {
+    return { error: 'expired', record };
+  }
+
+  return { valid: true, record };
+}
+
+/**
+ * Record token usage
+ * @param {number} tokenId - Token ID
+ * @param {string|null} ip - Client IP
+ */
+export function touchApiToken(tokenId, ip = null) {
+  const db = getDb();
+
+  db.prepare(`
+    UPDATE api_tokens
+    SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?
+    WHERE id = ?
+  `).run(ip, tokenId);
+}
+
+/**
+ * List tokens of a user (without hashes)
+ * @param {number} userId - User ID
+ * @returns {Array} Tokens, newest first
+ */
+export function listApiTokens(userId) {
+  const db = getDb();
+
+  return db.prepare(`
+    SELECT id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, revoked_at, created_by, created_at
+    FROM api_tokens
+    WHERE user_id = ?
+    ORDER BY created_at DESC, id DESC
+  `).all(userId).map(t => ({ ...t, scopes: t.scopes.split(',').filter(Boolean) }));
+}
+
+/**
+ * Revoke a token of a user
+ * @param {number} userId - Owner user ID
+ * @param {number} tokenId - Token ID
+ * @returns {boolean} True if a token was revoked
+ */
+export function revokeApiToken(userId, tokenId) {
+  const db = getDb();
+
+  const result = db.prepare(`
+    UPDATE api_tokens
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+  `).run(tokenId, userId);
+
+  return result.changes > 0;
+}
@@ -3,23 +3,29 @@ import { moderatePostContent } from './openai.js';
 import { sendModerationRejectionEmail } from './email.js';
 import { getUserByClientKey } from './users.js';
 import { logAudit } from './audit.js';
+import { emitPostEvent } from './webhooks.js';
+import { recordRevision } from './revisions.js';
+import { transitionPost } from './postWorkflow.js';
 
 let workerInterval = null;
 let fastifyInstance = null;
 
 /**
  * Process pending moderation for posts
- * Checks posts where moderation_checked_at IS NULL and publish_at IS NOT NULL
+ * Checks unpublished posts where moderation_checked_at IS NULL and publish_at IS NOT NULL;
+ * a publish time picked by a user (scheduled_by) does not wait for moderation
  */
 async function processPendingModeration() {
   const db = getDb();
 
   const pendingPosts = db.prepare(`
-    SELECT id, text, client_key
+    SELECT id, text, client_key, status, deleted_at
     FROM posts
     WHERE publish_at IS NOT NULL
       AND moderation_checked_at IS NULL
-      AND status = 'draft'
+      AND scheduled_by IS NULL
+      AND status IN ('draft', 'in_review', 'approved')
+      AND deleted_at IS NULL
     LIMIT 5
   `).all();
 
@@ -29,7 +35,7 @@ async function processPendingModeration() {
       const now = new Date().toISOString();
 
       if (result.is_approved) {
-        // Approved - keep status as draft, will be published by scheduler
+        // Passed - status unchanged, published by the scheduler once a reviewer approved it
         db.prepare(`
           UPDATE posts
           SET moderation_checked_at = ?,
@@ -46,18 +52,16 @@ async function processPendingModeration() {
         }
       } else {
         // Rejected - set status to warning
-        db.prepare(`
-          UPDATE posts
-          SET status = 'warning',
-              moderation_checked_at = ?,
-              moderation_reason = ?,
-              publish_at = NULL
-          WHERE id = ?
-        `).run(now, result.reason, post.id);
-
-        logAudit(post.id, 'system', 'post_moderation_rejected', {
-          reason: result.reason,
+        transitionPost(post, 'reject', {
+          actor: 'system',
+          changes: {
+            moderation_checked_at: now,
+            moderation_reason: result.reason,
+            publish_at: null,
+          },
+          auditExtra: { reason: result.reason },
         });
+        emitPostEvent('moderation.rejected', post.id, { actor: 'system', reason: result.reason });
 
         if (fastifyInstance) {
           fastifyInstance.log.warn({ post_id: post.id, reason: result.reason }, 'Post moderation rejected');
@@ -89,39 +93,42 @@ async function processPendingModeration() {
 
 /**
  * Process scheduled posts for publishing
- * Publishes posts where publish_at <= now and moderation is done
+ * Publishes approved posts where publish_at <= now and moderation is done or a user scheduled them
  */
 function processScheduledPublishing() {
   const db = getDb();
   const now = new Date().toISOString();
 
   const postsToPublish = db.prepare(`
-    SELECT id
+    SELECT *
     FROM posts
-    WHERE status = 'draft'
+    WHERE status = 'approved'
       AND publish_at IS NOT NULL
       AND publish_at <= ?
-      AND moderation_checked_at IS NOT NULL
+      AND (moderation_checked_at IS NOT NULL OR scheduled_by IS NOT NULL)
+      AND deleted_at IS NULL
     LIMIT 10
   `).all(now);
 
-  for (const post of postsToPublish) {
-    db.prepare(`
-      UPDATE posts
-      SET status = 'published',
-          pub_date = COALESCE(pub_date, ?),
-          updated_at = ?
-      WHERE id = ?
-    `).run(now, now, post.id);
+  const publish = db.transaction((post) => {
+    transitionPost(post, 'publish', {
+      actor: 'system',
+      auditAction: 'post_auto_published',
+      auditExtra: post.scheduled_by ? { scheduled_by: post.scheduled_by } : {},
+      eventExtra: { auto_published: true },
+    });
+    recordRevision(post.id, 'system', 'auto_published');
+  });
 
-    logAudit(post.id, 'system', 'post_auto_published', {});
+  for (const post of postsToPublish) {
+    publish(post);
 
     if (fastifyInstance) {
       fastifyInstance.log.info({ post_id: post.id }, 'Post auto-published');
       
       // Invalidate RSS cache if available
       if (typeof fastifyInstance.rssInvalidate === 'function') {
-        fastifyInstance.rssInvalidate();
+        fastifyInstance.rssInvalidate(post);
       }
     }
   }
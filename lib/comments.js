@@ -0,0 +1,183 @@
+import { getDb } from '../db/index.js';
+import { ValidationError } from './validation.js';
+import { logAudit } from './audit.js';
+import { renderMarkdown } from './markdown.js';
+
+const MAX_BODY_LENGTH = 5000;
+const MAX_ANCHOR_LENGTH = 1000;
+
+export const ANCHOR_FIELDS = ['title', 'text'];
+
+// @ed or @ed@example.com, not the @ inside an email address or a URL
+const MENTION = /(?:^|[^\w.@/])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+/**
+ * Validate a new comment
+ * @param {object} body - Request body: body, optional anchor { field, start, end, text }
+ * @returns {{body: string, anchor: object|null}}
+ * @throws {ValidationError} INVALID_COMMENT or INVALID_ANCHOR
+ */
+export function validateComment(body = {}) {
+  const text = typeof body.body === 'string' ? body.body.trim() : '';
+  if (!text) {
+    throw new ValidationError('Comment must not be empty', 'INVALID_COMMENT');
+  }
+  if (text.length > MAX_BODY_LENGTH) {
+    throw new ValidationError(`Comment exceeds maximum length of ${MAX_BODY_LENGTH} characters`, 'INVALID_COMMENT');
+  }
+
+  if (!body.anchor) {
+    return { body: text, anchor: null };
+  }
+
+  const { field, start, end, text: quote } = body.anchor;
+  if (!ANCHOR_FIELDS.includes(field)
+    || !Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start
+    || typeof quote !== 'string' || !quote || quote.length !== end - start) {
+    throw new ValidationError('anchor must be a selection in the title or text', 'INVALID_ANCHOR');
+  }
+  if (quote.length > MAX_ANCHOR_LENGTH) {
+    throw new ValidationError(`Selection exceeds maximum length of ${MAX_ANCHOR_LENGTH} characters`, 'INVALID_ANCHOR');
+  }
+
+  return { body: text, anchor: { field, start, end, text: quote } };
+}
+
+/**
+ * Users mentioned in a comment
+ * @ed matches the user whose email starts with "ed@" if there is exactly one; @ed@example.com the exact email.
+ * @param {string} body - Comment markdown
+ * @returns {Array} Users with id, email, name, role, client_key
+ */
+export function findMentionedUsers(body) {
+  const db = getDb();
+  const byEmail = db.prepare('SELECT id, email, name, role, client_key FROM users WHERE lower(email) = lower(?)');
+  const byLocalPart = db.prepare(`
+    SELECT id, email, name, role, client_key FROM users WHERE lower(email) LIKE lower(?) ESCAPE '\\' LIMIT 2
+  `);
+
+  const users = new Map();
+  for (const [, raw] of String(body || '').matchAll(MENTION)) {
+    const handle = raw.replace(/[.]+$/, '');
+    let user = null;
+    if (handle.includes('@')) {
+      user = byEmail.get(handle);
+    } else {
+      const matches = byLocalPart.all(`${handle.replace(/[\\%_]/g, '\\$&')}@%`);
+      user = matches.length === 1 ? matches[0] : null;
+    }
+    if (user) {
+      users.set(user.id, user);
+    }
+  }
+
+  return [...users.values()];
+}
+
+function withHtml(comment) {
+  return {
+    ...comment,
+    mentions: comment.mentions ? JSON.parse(comment.mentions) : [],
+    body_html: renderMarkdown(comment.body),
+  };
+}
+
+/**
+ * Comments of a post, oldest first, with the rendered markdown
+ * @param {number} postId - Post ID
+ * @returns {Array}
+ */
+export function listComments(postId) {
+  const db = getDb();
+
+  return db.prepare('SELECT * FROM post_comments WHERE post_id = ? ORDER BY id').all(postId).map(withHtml);
+}
+
+/**
+ * Get one comment of a post
+ * @param {number} postId - Post ID
+ * @param {number} commentId - Comment ID
+ * @returns {object|null}
+ */
+export function getComment(postId, commentId) {
+  const db = getDb();
+  const comment = db.prepare('SELECT * FROM post_comments WHERE id = ? AND post_id = ?').get(commentId, postId);
+  return comment ? withHtml(comment) : null;
+}
+
+/**
+ * Add a comment to a post
+ * @param {object} post - Post row
+ * @param {{body: string, anchor: object|null}} comment - Validated comment, see validateComment
+ * @param {string} actor - Who writes it
+ * @param {Array} mentioned - Users to record as mentioned
+ * @returns {object} The new comment
+ */
+export function addComment(post, { body, anchor }, actor, mentioned = []) {
+  const db = getDb();
+  const mentions = mentioned.map(user => user.email);
+
+  const result = db.prepare(`
+    INSERT INTO post_comments (post_id, author, body, mentions, anchor_field, anchor_start, anchor_end, anchor_text)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    post.id,
+    actor,
+    body,
+    mentions.length > 0 ? JSON.stringify(mentions) : null,
+    anchor?.field || null,
+    anchor?.start ?? null,
+    anchor?.end ?? null,
+    anchor?.text || null
+  );
+
+  logAudit(post.id, actor, 'comment_added', {
+    comment_id: result.lastInsertRowid,
+    mentions,
+    anchor_field: anchor?.field || null,
+  });
+
+  return getComment(post.id, result.lastInsertRowid);
+}
+
+/**
+ * Mark a comment as resolved or open it again
+ * @param {object} comment - Comment row
+ * @param {boolean} resolved - New state
+ * @param {string} actor - Who changes it
+ * @returns {object} The updated comment
+ */
+export function setCommentResolved(comment, resolved, actor) {
+  const db = getDb();
+
+  if (resolved) {
+    db.prepare('UPDATE post_comments SET resolved_at = CURRENT_TIMESTAMP, resolved_by = ? WHERE id = ?').run(actor, comment.id);
+  } else {
+    db.prepare('UPDATE post_comments SET resolved_at = NULL, resolved_by = NULL WHERE id = ?').run(comment.id);
+  }
+
+  logAudit(comment.post_id, actor, resolved ? 'comment_resolved' : 'comment_unresolved', { comment_id: comment.id });
+
+  return getComment(comment.post_id, comment.id);
+}
+
+/**
+ * Comment counts for the posts list
+ * @param {number[]} postIds - Post IDs
+ * @returns {Object<number, {total: number, open: number}>} Only posts with comments
+ */
+export function countComments(postIds) {
+  if (postIds.length === 0) {
+    return {};
+  }
+
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT post_id, COUNT(*) AS total, SUM(resolved_at IS NULL) AS open
+    FROM post_comments
+    WHERE post_id IN (${postIds.map(() => '?').join(', ')})
+    GROUP BY post_id
+  `).all(...postIds);
+
+  return Object.fromEntries(rows.map(row => [row.post_id, { total: row.total, open: row.open }]));
+}
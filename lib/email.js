@@ -1,5 +1,6 @@
 import nodemailer from 'nodemailer';
 import config from '../config/index.js';
+import { renderMarkdown } from './markdown.js';
 
 let transporter = null;
 
@@ -208,6 +209,93 @@ Square Publisher - Automatische Moderation
   }
 }
 
+/**
+ * Send an email to a user mentioned in a post comment
+ * @param {object} options
+ * @param {string} options.to - Recipient email
+ * @param {number} options.postId - Post ID
+ * @param {string|null} options.postTitle - Post title
+ * @param {string} options.author - Who wrote the comment
+ * @param {string} options.body - Comment markdown
+ * @param {string|null} options.quote - Text the comment is anchored to
+ * @param {string} options.link - Link to the comment in the editor
+ * @returns {Promise<boolean>} True if sent successfully
+ */
+export async function sendCommentMentionEmail({ to, postId, postTitle, author, body, quote, link }) {
+  const transport = getTransporter();
+
+  if (!transport) {
+    console.warn('Email not configured, mention not sent to:', to);
+    return false;
+  }
+
+  const fromName = config.email.fromName;
+  const fromEmail = config.email.user;
+  const postName = postTitle ? `"${postTitle}"` : `#${postId}`;
+
+  const subject = `${author} mentioned you on post ${postName}`;
+  const text = `
+Hello,
+
+${author} mentioned you in a comment on post ${postName}:
+${quote ? `\n> ${quote.replace(/\n/g, '\n> ')}\n` : ''}
+${body}
+
+Open the post:
+${link}
+
+Best regards,
+${fromName}
+`.trim();
+
+  const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .quote { border-left: 3px solid #d1d5db; padding-left: 12px; color: #6b7280; font-style: italic; }
+    .comment { background: #f3f4f6; padding: 12px 16px; border-radius: 6px; margin: 16px 0; }
+    .button { display: inline-block; padding: 12px 24px; background-color: #2563eb; color: #ffffff; text-decoration: none; border-radius: 6px; font-weight: 500; }
+    .footer { margin-top: 30px; font-size: 14px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <p>Hello,</p>
+    <p><strong>${escape(author)}</strong> mentioned you in a comment on post ${escape(postName)}:</p>
+    ${quote ? `<p class="quote">${escape(quote)}</p>` : ''}
+    <div class="comment">${renderMarkdown(body)}</div>
+    <p style="margin: 30px 0;">
+      <a href="${link}" class="button">Open post</a>
+    </p>
+    <div class="footer">
+      <p>Best regards,<br>${fromName}</p>
+    </div>
+  </div>
+</body>
+</html>
+`.trim();
+
+  try {
+    await transport.sendMail({
+      from: `"${fromName}" <${fromEmail}>`,
+      to,
+      subject,
+      text,
+      html,
+    });
+    return true;
+  } catch (err) {
+    console.error('Failed to send mention email:', err.message);
+    return false;
+  }
+}
+
 /**
  * Verify email configuration is working
  * @returns {Promise<boolean>}
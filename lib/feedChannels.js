@@ -0,0 +1,172 @@
+import { getDb } from '../db/index.js';
+import { ValidationError } from './validation.js';
+
+const FIELDS = ['title', 'description', 'language', 'copyright', 'image_url', 'ttl'];
+
+function trimmed(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Validate channel settings form input
+ * Defaults need a title, description and language; empty fields of a client override inherit the defaults.
+ * @param {object} body - Request body
+ * @param {object} options
+ * @param {boolean} [options.isDefault] - Validating the instance defaults
+ * @returns {object} Validated fields, null for empty ones
+ * @throws {ValidationError} If the input is invalid
+ */
+export function validateChannelSettingsInput(body = {}, { isDefault = false } = {}) {
+  const title = trimmed(body.title);
+  const description = trimmed(body.description);
+  if ((isDefault && !title) || title.length > 200) {
+    throw new ValidationError('Title is required (max. 200 characters)', 'INVALID_CHANNEL_TITLE');
+  }
+  if ((isDefault && !description) || description.length > 500) {
+    throw new ValidationError('Description is required (max. 500 characters)', 'INVALID_CHANNEL_DESCRIPTION');
+  }
+
+  const language = trimmed(body.language);
+  if ((isDefault && !language) || (language && !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(language))) {
+    throw new ValidationError('Language must be a language tag like de or de-DE', 'INVALID_CHANNEL_LANGUAGE');
+  }
+
+  const copyright = trimmed(body.copyright);
+  if (copyright.length > 200) {
+    throw new ValidationError('Copyright is limited to 200 characters', 'INVALID_CHANNEL_COPYRIGHT');
+  }
+
+  const imageUrl = trimmed(body.image_url);
+  if (imageUrl && !(imageUrl.startsWith('/') && !imageUrl.startsWith('//'))) {
+    let parsed;
+    try {
+      parsed = new URL(imageUrl);
+    } catch {
+      throw new ValidationError('Image must be an http(s) URL or a path on this site', 'INVALID_CHANNEL_IMAGE');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ValidationError('Image must be an http(s) URL or a path on this site', 'INVALID_CHANNEL_IMAGE');
+    }
+  }
+
+  const ttlInput = trimmed(String(body.ttl ?? ''));
+  const ttl = ttlInput ? Number(ttlInput) : null;
+  if (ttl !== null && (!Number.isInteger(ttl) || ttl < 1 || ttl > 1440)) {
+    throw new ValidationError('TTL must be between 1 and 1440 minutes', 'INVALID_CHANNEL_TTL');
+  }
+
+  return {
+    title: title || null,
+    description: description || null,
+    language: language || null,
+    copyright: copyright || null,
+    image_url: imageUrl || null,
+    ttl,
+  };
+}
+
+/**
+ * Stored channel settings
+ * @param {string|null} clientKey - Client key, null for the instance defaults
+ * @returns {object|null} Row or null
+ */
+export function getChannelSettings(clientKey = null) {
+  const db = getDb();
+
+  if (clientKey === null) {
+    return db.prepare('SELECT * FROM feed_channel_settings WHERE client_key IS NULL').get() || null;
+  }
+  return db.prepare('SELECT * FROM feed_channel_settings WHERE client_key = ?').get(clientKey) || null;
+}
+
+/**
+ * Per-client overrides
+ * @returns {Array} Rows ordered by client key
+ */
+export function listChannelOverrides() {
+  const db = getDb();
+
+  return db.prepare(`
+    SELECT * FROM feed_channel_settings
+    WHERE client_key IS NOT NULL
+    ORDER BY client_key COLLATE NOCASE
+  `).all();
+}
+
+/**
+ * Create or replace channel settings
+ * @param {string|null} clientKey - Client key, null for the instance defaults
+ * @param {object} data - Validated input
+ * @param {string|null} updatedBy - Email of the admin
+ * @returns {object} Saved row
+ */
+export function saveChannelSettings(clientKey, data, updatedBy = null) {
+  const db = getDb();
+  const values = FIELDS.map(field => data[field] ?? null);
+
+  const save = db.transaction(() => {
+    const existing = getChannelSettings(clientKey);
+
+    if (existing) {
+      db.prepare(`
+        UPDATE feed_channel_settings
+        SET ${FIELDS.map(field => `${field} = ?`).join(', ')}, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...values, updatedBy, existing.id);
+    } else {
+      db.prepare(`
+        INSERT INTO feed_channel_settings (client_key, ${FIELDS.join(', ')}, updated_by)
+        VALUES (?, ${FIELDS.map(() => '?').join(', ')}, ?)
+      `).run(clientKey, ...values, updatedBy);
+    }
+  });
+  save();
+
+  return getChannelSettings(clientKey);
+}
+
+/**
+ * Delete the override of a client; its feed falls back to the defaults
+ * @param {string} clientKey - Client key
+ * @returns {boolean} True if an override was deleted
+ */
+export function deleteChannelOverride(clientKey) {
+  const db = getDb();
+  return db.prepare('DELETE FROM feed_channel_settings WHERE client_key = ?').run(clientKey).changes > 0;
+}
+
+/**
+ * Channel metadata of a feed: the client override over the instance defaults
+ * Without an own title or description a filtered feed gets the default one with the client or tag appended.
+ * @param {string} baseUrl - Public base URL, for images given as a path
+ * @param {object} [filter] - { clientKey } or { tag }
+ * @returns {{title: string, description: string, language: string, copyright: string|null,
+ *   imageUrl: string|null, ttl: number|null}}
+ */
+export function resolveChannelSettings(baseUrl, filter = {}) {
+  const defaults = getChannelSettings(null) || {};
+  const override = filter.clientKey ? getChannelSettings(filter.clientKey) || {} : {};
+  const pick = (field) => override[field] ?? defaults[field] ?? null;
+
+  let title = defaults.title || 'Square Publisher Feed';
+  let description = defaults.description || 'Recent posts';
+  if (filter.clientKey) {
+    title = override.title || `${title} – ${filter.clientKey}`;
+    description = override.description || `${description} for ${filter.clientKey}`;
+  }
+  if (filter.tag) {
+    title += ` – ${filter.tag}`;
+    description += ` tagged ${filter.tag}`;
+  }
+
+  const image = pick('image_url');
+
+  return {
+    title,
+    description,
+    language: pick('language') || 'de',
+    copyright: pick('copyright'),
+    imageUrl: image && image.startsWith('/') ? `${baseUrl.replace(/\/$/, '')}${image}` : image,
+    ttl: pick('ttl'),
+  };
+}
@@ -0,0 +1,152 @@
+import { XMLParser } from 'fast-xml-parser';
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  removeNSPrefix: false,
+  processEntities: true,
+  htmlEntities: true,
+  trimValues: true,
+  parseTagValue: false,
+  isArray: (name) => ['item', 'entry', 'link', 'category', 'enclosure', 'media:content', 'media:thumbnail'].includes(name),
+});
+
+/**
+ * Read the text content of a parsed node (string, CDATA or element with attributes)
+ */
+function text(node) {
+  if (node === undefined || node === null) {
+    return null;
+  }
+  if (typeof node === 'object') {
+    return text(node['#text']);
+  }
+  const value = String(node).trim();
+  return value.length > 0 ? value : null;
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Turn an HTML fragment into plain text
+ */
+function stripHtml(html) {
+  if (!html) {
+    return null;
+  }
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        // Out of range code points stay as written instead of failing the whole feed
+        return point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/\s+/g, ' ')
+    .trim() || null;
+}
+
+function toIsoDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * First image URL from enclosures, Media RSS or an <img> in the description
+ */
+function findImage(item, descriptionHtml) {
+  for (const enclosure of item.enclosure || []) {
+    if (String(enclosure['@_type'] || '').startsWith('image/') && enclosure['@_url']) {
+      return enclosure['@_url'];
+    }
+  }
+
+  for (const media of [...(item['media:content'] || []), ...(item['media:thumbnail'] || [])]) {
+    const medium = media['@_medium'];
+    const type = String(media['@_type'] || '');
+    if (media['@_url'] && (!medium || medium === 'image') && (!type || type.startsWith('image/'))) {
+      return media['@_url'];
+    }
+  }
+
+  const match = descriptionHtml && descriptionHtml.match(/<img[^>]+src=["']([^"']+)["']/i);
+  return match ? match[1] : null;
+}
+
+function parseRssItem(item) {
+  const descriptionHtml = text(item['content:encoded']) || text(item.description);
+  const link = text(item.link?.[0]);
+  const guid = text(item.guid) || link;
+
+  return {
+    guid,
+    link,
+    title: stripHtml(text(item.title)),
+    description: stripHtml(text(item.description)) || stripHtml(descriptionHtml),
+    published_at: toIsoDate(text(item.pubDate) || text(item['dc:date'])),
+    image_url: findImage(item, descriptionHtml),
+    categories: (item.category || []).map(text).filter(Boolean),
+  };
+}
+
+function parseAtomEntry(entry) {
+  const links = entry.link || [];
+  const alternate = links.find(l => !l['@_rel'] || l['@_rel'] === 'alternate') || links[0];
+  const link = alternate ? alternate['@_href'] || text(alternate) : null;
+  const contentHtml = text(entry.content);
+  const imageLink = links.find(l => l['@_rel'] === 'enclosure' && String(l['@_type'] || '').startsWith('image/'));
+
+  return {
+    guid: text(entry.id) || link,
+    link,
+    title: stripHtml(text(entry.title)),
+    description: stripHtml(text(entry.summary)) || stripHtml(contentHtml),
+    published_at: toIsoDate(text(entry.published) || text(entry.updated)),
+    image_url: imageLink ? imageLink['@_href'] : findImage(entry, contentHtml),
+    categories: (entry.category || []).map(c => c['@_term'] || text(c)).filter(Boolean),
+  };
+}
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF) or Atom document
+ * @param {string} xml - Feed document
+ * @returns {{format: string, title: string|null, items: Array}} Items with guid, link, title,
+ *   description (plain text), published_at (ISO), image_url and categories
+ * @throws {Error} If the document is not a feed
+ */
+export function parseFeed(xml) {
+  let doc;
+  try {
+    doc = parser.parse(xml);
+  } catch (err) {
+    throw new Error(`Feed is not valid XML: ${err.message}`);
+  }
+
+  let format;
+  let title;
+  let items;
+
+  if (doc.rss?.channel) {
+    format = 'rss';
+    title = text(doc.rss.channel.title);
+    items = (doc.rss.channel.item || []).map(parseRssItem);
+  } else if (doc['rdf:RDF']) {
+    format = 'rdf';
+    title = text(doc['rdf:RDF'].channel?.title);
+    items = (doc['rdf:RDF'].item || []).map(parseRssItem);
+  } else if (doc.feed) {
+    format = 'atom';
+    title = text(doc.feed.title);
+    items = (doc.feed.entry || []).map(parseAtomEntry);
+  } else {
+    throw new Error('Document is neither RSS nor Atom');
+  }
+
+  return { format, title, items: items.filter(item => item.guid) };
+}
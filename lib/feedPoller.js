@@ -0,0 +1,493 @@
+import crypto from 'crypto';
+import { getDb } from '../db/index.js';
+import config from '../config/index.js';
+import { ValidationError, validateIngestRequest, buildLinkedInText } from './validation.js';
+import { parseFeed } from './feedParser.js';
+import { scoreFeedItems, generateFeedArticle } from './openai.js';
+import { readLimitedBody } from './httpFetch.js';
+import {
+  findExistingPost,
+  createIngestedPost,
+  loadIngestImages,
+  removeStoredImages,
+} from './ingest.js';
+
+/**
+ * Source name stored on posts created by the poller
+ */
+export const FEED_POST_SOURCE = 'rss-poller';
+
+// A poll lock older than this was left by a process that died mid-poll
+const POLL_LOCK_MINUTES = 15;
+
+let workerInterval = null;
+let workerRunning = false;
+let fastifyInstance = null;
+
+function log(level, data, message) {
+  if (fastifyInstance) {
+    fastifyInstance.log[level](data, message);
+  }
+}
+
+/**
+ * Validate feed source form input
+ * @param {object} body - Request body
+ * @returns {object} Validated source fields
+ * @throws {ValidationError} If the input is invalid
+ */
+export function validateFeedSourceInput(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (name.length === 0 || name.length > 100) {
+    throw new ValidationError('Name is required (max. 100 characters)', 'INVALID_FEED_NAME');
+  }
+
+  const url = typeof body.url === 'string' ? body.url.trim() : '';
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ValidationError('URL must be a valid http(s) URL', 'INVALID_FEED_URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ValidationError('URL must be a valid http(s) URL', 'INVALID_FEED_URL');
+  }
+
+  const clientKey = typeof body.client_key === 'string' ? body.client_key.trim() : '';
+  const tag = typeof body.tag === 'string' ? body.tag.trim() : '';
+  if (clientKey.length > 100 || tag.length > 100) {
+    throw new ValidationError('Client key and tag are limited to 100 characters', 'FIELD_TOO_LONG');
+  }
+
+  const pollIntervalMinutes = parseInt(body.poll_interval_minutes, 10);
+  if (!Number.isInteger(pollIntervalMinutes) || pollIntervalMinutes < 5 || pollIntervalMinutes > 10080) {
+    throw new ValidationError('Poll interval must be between 5 minutes and 7 days', 'INVALID_POLL_INTERVAL');
+  }
+
+  const maxItems = parseInt(body.max_items, 10);
+  if (!Number.isInteger(maxItems) || maxItems < 1 || maxItems > 50) {
+    throw new ValidationError('Items per poll must be between 1 and 50', 'INVALID_MAX_ITEMS');
+  }
+
+  return {
+    name,
+    url,
+    client_key: clientKey || null,
+    tag: tag || null,
+    poll_interval_minutes: pollIntervalMinutes,
+    max_items: maxItems,
+    active: body.active === 'on' || body.active === true,
+  };
+}
+
+/**
+ * List feed sources with item counts
+ * @returns {Array} Sources ordered by name
+ */
+export function listFeedSources() {
+  const db = getDb();
+
+  return db.prepare(`
+    SELECT s.*,
+      (SELECT COUNT(*) FROM feed_items i WHERE i.feed_source_id = s.id) AS items_seen,
+      (SELECT COUNT(*) FROM feed_items i WHERE i.feed_source_id = s.id AND i.status = 'ingested') AS items_ingested
+    FROM feed_sources s
+    ORDER BY s.name COLLATE NOCASE
+  `).all();
+}
+
+/**
+ * Get a feed source by ID
+ * @param {number} id - Source ID
+ * @returns {object|null} Source or null
+ */
+export function getFeedSource(id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM feed_sources WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Create a feed source; it is polled on the next worker tick
+ * @param {object} data - Validated input
+ * @param {string|null} createdBy - Email of the admin
+ * @returns {object} Created source
+ * @throws {ValidationError} If the URL is already registered
+ */
+export function createFeedSource(data, createdBy = null) {
+  const db = getDb();
+
+  try {
+    const result = db.prepare(`
+      INSERT INTO feed_sources (name, url, client_key, tag, active, poll_interval_minutes, max_items, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(data.name, data.url, data.client_key, data.tag, data.active ? 1 : 0,
+      data.poll_interval_minutes, data.max_items, createdBy);
+
+    return getFeedSource(result.lastInsertRowid);
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      throw new ValidationError('This feed URL is already registered', 'FEED_URL_EXISTS');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Update a feed source
+ * Changing the URL resets the conditional GET validators.
+ * @param {number} id - Source ID
+ * @param {object} data - Validated input
+ * @returns {object|null} Updated source or null if not found
+ * @throws {ValidationError} If the URL is already registered
+ */
+export function updateFeedSource(id, data) {
+  const db = getDb();
+
+  try {
+    const result = db.prepare(`
+      UPDATE feed_sources
+      SET name = ?, client_key = ?, tag = ?, active = ?, poll_interval_minutes = ?, max_items = ?,
+          etag = CASE WHEN url = ? THEN etag ELSE NULL END,
+          last_modified = CASE WHEN url = ? THEN last_modified ELSE NULL END,
+          url = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(data.name, data.client_key, data.tag, data.active ? 1 : 0, data.poll_interval_minutes,
+      data.max_items, data.url, data.url, data.url, id);
+
+    return result.changes > 0 ? getFeedSource(id) : null;
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      throw new ValidationError('This feed URL is already registered', 'FEED_URL_EXISTS');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Delete a feed source and its item history
+ * @param {number} id - Source ID
+ * @returns {boolean} True if deleted
+ */
+export function deleteFeedSource(id) {
+  const db = getDb();
+  return db.prepare('DELETE FROM feed_sources WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Recently seen items of a source
+ * @param {number} sourceId - Source ID
+ * @param {number} limit - Maximum rows
+ * @returns {Array} Items, newest first
+ */
+export function listFeedItems(sourceId, limit = 50) {
+  const db = getDb();
+
+  return db.prepare(`
+    SELECT i.*, p.slug AS post_slug, p.status AS post_status
+    FROM feed_items i
+    LEFT JOIN posts p ON p.id = i.post_id
+    WHERE i.feed_source_id = ?
+    ORDER BY i.id DESC
+    LIMIT ?
+  `).all(sourceId, limit);
+}
+
+/**
+ * Fetch a feed with conditional GET
+ * @returns {Promise<{notModified: boolean, body?: string, etag?: string|null, lastModified?: string|null}>}
+ */
+async function fetchFeed(source) {
+  const headers = {
+    'user-agent': 'SquarePublisher-FeedPoller/1.0',
+    accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5',
+  };
+  if (source.etag) {
+    headers['if-none-match'] = source.etag;
+  }
+  if (source.last_modified) {
+    headers['if-modified-since'] = source.last_modified;
+  }
+
+  const response = await fetch(source.url, {
+    headers,
+    signal: AbortSignal.timeout(config.feeds.fetchTimeoutMs),
+  });
+
+  if (response.status === 304) {
+    return { notModified: true };
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  let buffer;
+  try {
+    buffer = await readLimitedBody(response, config.feeds.maxFeedBytes);
+  } catch (err) {
+    throw err.code === 'BODY_TOO_LARGE' ? new Error('Feed exceeds maximum size') : err;
+  }
+
+  return {
+    notModified: false,
+    body: buffer.toString('utf8'),
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+  };
+}
+
+/**
+ * Stable ext_id for an item; long GUIDs are hashed to fit the ingest limit
+ */
+function itemExtId(item) {
+  return item.guid.length <= 255
+    ? item.guid
+    : 'sha256:' + crypto.createHash('sha256').update(item.guid).digest('hex');
+}
+
+/**
+ * Choose the item to turn into a post
+ * Uses the LLM when configured, otherwise (or when the answer is unusable) the newest item.
+ */
+async function chooseItem(source, items) {
+  if (items.length === 1 || !config.openai.apiKey) {
+    return 0;
+  }
+
+  try {
+    const index = await scoreFeedItems({ items });
+    if (index >= 0) {
+      return index;
+    }
+    log('warn', { feed_source_id: source.id }, 'Feed scoring returned no usable index, using newest item');
+  } catch (err) {
+    log('warn', { feed_source_id: source.id, err: err.message }, 'Feed scoring failed, using newest item');
+  }
+
+  return 0;
+}
+
+/**
+ * Draft the post text for an item
+ * Without an LLM the post is title, description and link, like /ingest/rss-to-linkedin.
+ */
+async function draftText(item) {
+  if (!config.openai.apiKey) {
+    return buildLinkedInText({ title: item.title || '', link: item.link || '', summary: item.description || '' });
+  }
+
+  const text = await generateFeedArticle({ title: item.title || '', description: item.description || '' });
+  if (!text) {
+    throw new Error('LLM returned an empty article');
+  }
+  return text;
+}
+
+/**
+ * Create a draft post for a feed item through the regular ingest path
+ * @returns {Promise<{status: string, postId: number}>} status is 'ingested' or 'duplicate'
+ */
+async function ingestFeedItem(source, item) {
+  const db = getDb();
+
+  const data = validateIngestRequest({
+    text: await draftText(item),
+    title: item.title ? item.title.slice(0, 200) : null,
+    source: FEED_POST_SOURCE,
+    ext_id: itemExtId(item),
+    link: item.link,
+    tag: source.tag,
+    client_key: source.client_key,
+  }, config.limits.maxTextLength);
+
+  const existing = findExistingPost(data);
+  if (existing) {
+    return { status: 'duplicate', postId: existing.id };
+  }
+
+  // A broken image must not cost the article
+  let images = [];
+  if (item.image_url) {
+    try {
+      images = await loadIngestImages([{ url: item.image_url, alt: item.title ? item.title.slice(0, 500) : null }]);
+    } catch (err) {
+      log('warn', { feed_source_id: source.id, image_url: item.image_url, err: err.message }, 'Feed item image skipped');
+    }
+  }
+
+  const storedPaths = [];
+  let created;
+  try {
+    created = db.transaction(() => createIngestedPost(data, { images, storedPaths }))();
+  } catch (err) {
+    removeStoredImages(storedPaths);
+    throw err;
+  }
+
+  log('info', {
+    post_id: created.id,
+    feed_source_id: source.id,
+    guid: item.guid,
+    auto_publish: created.autoPublishScheduled,
+  }, 'Post created from feed');
+
+  return { status: 'ingested', postId: created.id };
+}
+
+/**
+ * Poll one feed source
+ * New items (unknown GUIDs, plus items that failed before) are recorded; the best one becomes a draft.
+ * A source is polled by one caller at a time (worker, manual poll or CLI), so no item is ingested twice;
+ * while another poll runs the status is 'running' and nothing is done.
+ * @param {object} source - Feed source row
+ * @returns {Promise<{status: string, newItems: number, postId: number|null, error: string|null}>}
+ */
+export async function pollFeedSource(source) {
+  const db = getDb();
+  const summary = { status: 'ok', newItems: 0, postId: null, error: null };
+  let validators = { etag: source.etag, lastModified: source.last_modified };
+
+  const claimed = db.prepare(`
+    UPDATE feed_sources
+    SET polling_since = datetime('now')
+    WHERE id = ?
+      AND (polling_since IS NULL OR polling_since <= datetime('now', '-' || ? || ' minutes'))
+  `).run(source.id, POLL_LOCK_MINUTES).changes > 0;
+
+  if (!claimed) {
+    return { ...summary, status: 'running' };
+  }
+
+  try {
+    const fetched = await fetchFeed(source);
+
+    if (fetched.notModified) {
+      summary.status = 'not_modified';
+    } else {
+      validators = { etag: fetched.etag, lastModified: fetched.lastModified };
+
+      const feed = parseFeed(fetched.body);
+      const newestFirst = [...feed.items].sort((a, b) => (b.published_at || '').localeCompare(a.published_at || ''));
+      const candidates = newestFirst.slice(0, source.max_items);
+
+      const known = db.prepare('SELECT status FROM feed_items WHERE feed_source_id = ? AND guid = ?');
+      const unseen = candidates.filter(item => {
+        const row = known.get(source.id, item.guid);
+        return !row || row.status === 'failed';
+      });
+
+      const remember = db.prepare(`
+        INSERT OR IGNORE INTO feed_items (feed_source_id, guid, link, title, published_at)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      db.transaction(() => {
+        for (const item of unseen) {
+          remember.run(source.id, item.guid, item.link, item.title, item.published_at);
+        }
+      })();
+
+      summary.newItems = unseen.length;
+
+      if (unseen.length > 0) {
+        const chosen = unseen[await chooseItem(source, unseen)];
+        const markItem = db.prepare(`
+          UPDATE feed_items SET status = ?, post_id = ?, error = ? WHERE feed_source_id = ? AND guid = ?
+        `);
+
+        try {
+          const outcome = await ingestFeedItem(source, chosen);
+          markItem.run(outcome.status, outcome.postId, null, source.id, chosen.guid);
+          summary.postId = outcome.postId;
+        } catch (err) {
+          markItem.run('failed', null, err.message, source.id, chosen.guid);
+          throw err;
+        }
+      }
+    }
+  } catch (err) {
+    summary.status = 'error';
+    summary.error = err.message;
+    log('warn', { feed_source_id: source.id, url: source.url, err: err.message }, 'Feed poll failed');
+  }
+
+  db.prepare(`
+    UPDATE feed_sources
+    SET last_polled_at = datetime('now'),
+        next_poll_at = datetime('now', '+' || poll_interval_minutes || ' minutes'),
+        last_status = ?, last_error = ?, etag = ?, last_modified = ?, polling_since = NULL
+    WHERE id = ?
+  `).run(summary.status, summary.error, validators.etag || null, validators.lastModified || null, source.id);
+
+  return summary;
+}
+
+/**
+ * Poll every active source that is due
+ * @returns {Promise<Array>} Poll summaries with source id and name
+ */
+export async function pollDueFeeds() {
+  const db = getDb();
+
+  const due = db.prepare(`
+    SELECT * FROM feed_sources
+    WHERE active = 1
+      AND (next_poll_at IS NULL OR next_poll_at <= datetime('now'))
+    ORDER BY next_poll_at IS NOT NULL, next_poll_at
+  `).all();
+
+  const results = [];
+  for (const source of due) {
+    results.push({ id: source.id, name: source.name, ...(await pollFeedSource(source)) });
+  }
+
+  return results;
+}
+
+async function workerTick() {
+  // Polls can take long with LLM calls; never overlap
+  if (workerRunning) {
+    return;
+  }
+
+  workerRunning = true;
+  try {
+    await pollDueFeeds();
+  } catch (err) {
+    console.error('Feed poller error:', err.message);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+/**
+ * Start the feed poller
+ * @param {object} fastify - Fastify instance for logging
+ * @param {number} intervalMs - How often due sources are checked
+ */
+export function startFeedPoller(fastify, intervalMs = config.feeds.tickMs) {
+  if (workerInterval) {
+    console.warn('Feed poller already running');
+    return;
+  }
+
+  fastifyInstance = fastify;
+
+  workerTick();
+  workerInterval = setInterval(workerTick, intervalMs);
+
+  if (fastify) {
+    fastify.log.info({ interval_ms: intervalMs }, 'Feed poller started');
+  }
+}
+
+/**
+ * Stop the feed poller
+ */
+export function stopFeedPoller() {
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+    fastifyInstance = null;
+  }
+}
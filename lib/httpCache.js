@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+
+const IMMUTABLE_MAX_AGE = 365 * 24 * 60 * 60;
+
+/**
+ * Weak ETag for a response body
+ * @param {string} body - Response body
+ * @returns {string} W/"<md5>"
+ */
+export function weakEtag(body) {
+  return 'W/"' + crypto.createHash('md5').update(body).digest('hex') + '"';
+}
+
+/**
+ * Send a cacheable response, or 304 if the client copy is still current
+ * Sets ETag, Last-Modified and Cache-Control, and honours If-None-Match and If-Modified-Since.
+ * @param {object} request - Fastify request
+ * @param {object} reply - Fastify reply
+ * @param {object} options
+ * @param {string} options.body - Response body
+ * @param {string} options.contentType - Content-Type header
+ * @param {string} [options.etag] - ETag, computed from the body if omitted
+ * @param {string|null} [options.lastModified] - HTTP date of the newest content
+ * @param {number} [options.maxAge] - Cache-Control max-age in seconds
+ * @param {boolean} [options.immutable] - Content never changes at this URL, cache it for a year
+ */
+export function sendCached(request, reply, { body, contentType, etag = weakEtag(body), lastModified = null, maxAge = 60, immutable = false }) {
+  const inm = request.headers['if-none-match'];
+  const ims = request.headers['if-modified-since'];
+
+  reply.header('Content-Type', contentType);
+  reply.header('ETag', etag);
+  if (lastModified) {
+    reply.header('Last-Modified', lastModified);
+  }
+  reply.header('Cache-Control', immutable ? `public, max-age=${IMMUTABLE_MAX_AGE}, immutable` : `public, max-age=${maxAge}`);
+
+  if (inm && inm === etag) {
+    return reply.status(304).send();
+  }
+  if (!inm && ims && lastModified && new Date(ims) >= new Date(lastModified)) {
+    return reply.status(304).send();
+  }
+
+  return reply.send(body);
+}
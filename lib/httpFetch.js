@@ -0,0 +1,129 @@
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const internalAddresses = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  internalAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  internalAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+export class FetchError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'FetchError';
+    this.code = code;
+  }
+}
+
+function isInternalAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return internalAddresses.check(mapped[1], 'ipv4');
+  }
+  return internalAddresses.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Refuse URLs that are not http(s) or whose host resolves to an internal address
+ * @param {string} url - URL to check
+ * @throws {FetchError} URL_NOT_ALLOWED
+ */
+export async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new FetchError('Invalid URL', 'URL_NOT_ALLOWED');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new FetchError('Only http and https URLs can be fetched', 'URL_NOT_ALLOWED');
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true, verbatim: true });
+  } catch (err) {
+    throw new FetchError(`Host could not be resolved: ${err.code || err.message}`, 'FETCH_FAILED');
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isInternalAddress(address))) {
+    throw new FetchError('URL points to an internal address', 'URL_NOT_ALLOWED');
+  }
+}
+
+/**
+ * Fetch a URL on the public internet, following redirects only to other public URLs
+ * Every hop is checked with assertPublicUrl before it is requested.
+ * @param {string} url - URL to fetch
+ * @param {object} [options] - fetch options; redirect is handled here
+ * @returns {Promise<Response>}
+ * @throws {FetchError} URL_NOT_ALLOWED, TOO_MANY_REDIRECTS or FETCH_FAILED
+ */
+export async function fetchPublicUrl(url, options = {}) {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicUrl(current);
+
+    let response;
+    try {
+      response = await fetch(current, { ...options, redirect: 'manual' });
+    } catch (err) {
+      throw new FetchError(err.message, 'FETCH_FAILED');
+    }
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+
+    await response.body?.cancel();
+    current = new URL(location, current).href;
+  }
+
+  throw new FetchError('Too many redirects', 'TOO_MANY_REDIRECTS');
+}
+
+/**
+ * Read a response body, giving up as soon as it exceeds the limit
+ * @param {Response} response - fetch response
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<Buffer>}
+ * @throws {FetchError} BODY_TOO_LARGE
+ */
+export async function readLimitedBody(response, limit) {
+  const declaredLength = parseInt(response.headers.get('content-length'), 10);
+  if (declaredLength > limit) {
+    await response.body?.cancel();
+    throw new FetchError('Response exceeds maximum size', 'BODY_TOO_LARGE');
+  }
+  if (!response.body) {
+    return Buffer.alloc(0);
+  }
+
+  const chunks = [];
+  let size = 0;
+  const reader = response.body.getReader();
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    size += value.length;
+    if (size > limit) {
+      await reader.cancel();
+      throw new FetchError('Response exceeds maximum size', 'BODY_TOO_LARGE');
+    }
+    chunks.push(value);
+  }
+
+  return Buffer.concat(chunks, size);
+}
@@ -0,0 +1,358 @@
+import { getDb } from '../db/index.js';
+import config from '../config/index.js';
+import { generateSummary, ValidationError } from './validation.js';
+import { saveBuffer, removeUpload, ALLOWED_MIME } from './mediaStorage.js';
+import { detectMimeType, validateMediaSignature } from './mediaValidator.js';
+import { logAudit } from './audit.js';
+import { generateUniqueSlugSync } from './slugify.js';
+import { isSlugTaken } from './postSlugs.js';
+import { getUserByClientKey } from './users.js';
+import { schedulePostForAutoPublish } from './auto-publish-worker.js';
+import { emitPostEvent, emitMediaEvent } from './webhooks.js';
+import { recordRevision } from './revisions.js';
+import { fetchPublicUrl, readLimitedBody } from './httpFetch.js';
+
+/**
+ * What to do when an ingested item matches an existing post
+ * - ignore: return the existing post unchanged
+ * - update: refresh text/title/tag/link of the existing post while it is still a draft
+ * - reject: respond with 409 Conflict
+ */
+export const DUPLICATE_POLICIES = ['ignore', 'update', 'reject'];
+
+/**
+ * Validate the Idempotency-Key header value
+ * @param {string|undefined} value - Raw header value
+ * @returns {string|null} Trimmed key or null if not provided
+ * @throws {ValidationError} If the key is invalid
+ */
+export function validateIdempotencyKey(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value !== 'string') {
+    throw new ValidationError('Idempotency-Key must be a single header value', 'INVALID_IDEMPOTENCY_KEY');
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.length === 0) {
+    return null;
+  }
+
+  if (trimmed.length > 255) {
+    throw new ValidationError('Idempotency-Key exceeds maximum length of 255 characters', 'IDEMPOTENCY_KEY_TOO_LONG');
+  }
+
+  return trimmed;
+}
+
+/**
+ * Resolve the configured duplicate policy, falling back to "ignore"
+ * @param {string} policy - Policy name
+ * @returns {string} Valid policy name
+ */
+export function resolveDuplicatePolicy(policy) {
+  return DUPLICATE_POLICIES.includes(policy) ? policy : 'ignore';
+}
+
+/**
+ * Find a post that was already created for the same ingest item
+ * The Idempotency-Key wins over (client_key, source, ext_id) when both are given.
+ * Both are scoped to the client key, so one client's key never matches another client's post.
+ * @param {object} params
+ * @param {string|null} params.idempotencyKey - Idempotency-Key header value
+ * @param {string|null} params.client_key - Client key
+ * @param {string|null} params.source - Source name
+ * @param {string|null} params.ext_id - External ID
+ * @returns {object|null} Existing post or null
+ */
+export function findExistingPost({ idempotencyKey = null, client_key = null, source = null, ext_id = null }) {
+  const db = getDb();
+
+  if (idempotencyKey) {
+    const byKey = db.prepare(`
+      SELECT * FROM posts
+      WHERE COALESCE(client_key, '') = ?
+        AND idempotency_key = ?
+    `).get(client_key || '', idempotencyKey);
+    if (byKey) {
+      return byKey;
+    }
+  }
+
+  if (ext_id) {
+    const byExtId = db.prepare(`
+      SELECT * FROM posts
+      WHERE COALESCE(client_key, '') = ?
+        AND COALESCE(source, '') = ?
+        AND ext_id = ?
+    `).get(client_key || '', source || '', ext_id);
+    if (byExtId) {
+      return byExtId;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply the duplicate policy to an existing post
+ * @param {object} existing - Existing post row
+ * @param {object} data - Validated ingest data
+ * @param {string} policy - Duplicate policy
+ * @returns {{outcome: string, post: object}} outcome is 'duplicate', 'updated' or 'conflict'
+ */
+export function handleDuplicate(existing, data, policy) {
+  const resolved = resolveDuplicatePolicy(policy);
+
+  if (resolved === 'reject') {
+    return { outcome: 'conflict', post: existing };
+  }
+
+  // Only drafts are refreshed; anything already reviewed or published stays untouched
+  if (resolved === 'update' && existing.status === 'draft') {
+    const db = getDb();
+
+    db.prepare(`
+      UPDATE posts
+      SET title = ?, text = ?, summary = ?, tag = ?, link = ?,
+          version = version + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      data.title,
+      data.text,
+      generateSummary(data.text),
+      data.tag,
+      data.link,
+      existing.id
+    );
+    recordRevision(existing.id, 'ingest', 'ingest_updated');
+
+    logAudit(existing.id, 'ingest', 'post_ingest_updated', {
+      source: data.source,
+      ext_id: data.ext_id,
+    });
+    emitPostEvent('post.updated', existing.id, { actor: 'ingest' });
+
+    const post = db.prepare('SELECT * FROM posts WHERE id = ?').get(existing.id);
+    return { outcome: 'updated', post };
+  }
+
+  return { outcome: 'duplicate', post: existing };
+}
+
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+
+/**
+ * Read the bytes of one ingest image from base64, a URL or a multipart file part
+ * @returns {Promise<{buffer: Buffer, declaredMime: string|null}>}
+ */
+async function readImageSource(image, index, files, limit) {
+  if (image.data_base64) {
+    const match = image.data_base64.match(/^data:([\w/+.-]+);base64,(.*)$/s);
+    const buffer = Buffer.from(match ? match[2] : image.data_base64, 'base64');
+    if (buffer.length === 0) {
+      throw new ValidationError('Image data_base64 could not be decoded', 'INVALID_IMAGE_DATA', { index });
+    }
+    return { buffer, declaredMime: match ? match[1] : null };
+  }
+
+  if (image.file) {
+    const part = files[image.file];
+    if (!part) {
+      throw new ValidationError(`No file part named "${image.file}"`, 'IMAGE_FILE_MISSING', { index });
+    }
+    return { buffer: part.buffer, declaredMime: part.mimetype || null };
+  }
+
+  // Clients choose the URL: only public hosts, also after redirects, and never more than limit bytes
+  let response;
+  let buffer;
+  try {
+    response = await fetchPublicUrl(image.url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new ValidationError(`Image could not be fetched: HTTP ${response.status}`, 'IMAGE_FETCH_FAILED', { index });
+    }
+    buffer = await readLimitedBody(response, limit);
+  } catch (err) {
+    if (err instanceof ValidationError) throw err;
+    if (err.code === 'BODY_TOO_LARGE') {
+      throw new ValidationError('Image exceeds maximum file size', 'IMAGE_TOO_LARGE', { index, limit });
+    }
+    if (err.code === 'URL_NOT_ALLOWED') {
+      throw new ValidationError(`Image URL not allowed: ${err.message}`, 'IMAGE_URL_NOT_ALLOWED', { index });
+    }
+    throw new ValidationError(`Image could not be fetched: ${err.message}`, 'IMAGE_FETCH_FAILED', { index });
+  }
+
+  const declaredMime = (response.headers.get('content-type') || '').split(';')[0].trim() || null;
+  return { buffer, declaredMime };
+}
+
+/**
+ * Load and check the images of an ingest request
+ * Every image must be an allowed type whose file signature matches, and fit the size limits.
+ * @param {Array} images - Validated images from validateIngestRequest
+ * @param {object} [options]
+ * @param {object} [options.files] - Multipart file parts by field name: { buffer, mimetype }
+ * @param {number} [options.limit] - Maximum size per image in bytes
+ * @param {number} [options.totalLimit] - Maximum size of all images together; downloads stop once it is reached
+ * @returns {Promise<Array>} Images with buffer and detected mime
+ * @throws {ValidationError} If an image cannot be used
+ */
+export async function loadIngestImages(images, { files = {}, limit = config.uploads.maxFileSize, totalLimit = Infinity } = {}) {
+  const loaded = [];
+  const fileLimit = limit || Infinity;
+  let total = 0;
+
+  for (const [index, image] of images.entries()) {
+    const imageLimit = Math.min(fileLimit, totalLimit - total);
+    const tooLarge = () => (imageLimit < fileLimit
+      ? new ValidationError('Images exceed the total size limit', 'IMAGES_TOO_LARGE', { index, limit: totalLimit })
+      : new ValidationError('Image exceeds maximum file size', 'IMAGE_TOO_LARGE', { index, limit }));
+
+    let source;
+    try {
+      source = await readImageSource(image, index, files, imageLimit);
+    } catch (err) {
+      throw err.code === 'IMAGE_TOO_LARGE' ? tooLarge() : err;
+    }
+
+    const { buffer, declaredMime } = source;
+    if (buffer.length > imageLimit) {
+      throw tooLarge();
+    }
+    total += buffer.length;
+
+    const mime = detectMimeType(buffer);
+    if (!mime || !ALLOWED_MIME.includes(mime)) {
+      throw new ValidationError('Unsupported image type', 'UNSUPPORTED_MEDIA_TYPE', { index });
+    }
+
+    if (declaredMime && ALLOWED_MIME.includes(declaredMime) && !validateMediaSignature(buffer, declaredMime)) {
+      throw new ValidationError('File signature does not match MIME type', 'INVALID_FILE_SIGNATURE', { index });
+    }
+
+    loaded.push({ buffer, mime, alt: image.alt, caption: image.caption, cover: image.cover });
+  }
+
+  return loaded;
+}
+
+/**
+ * Remove image files stored for a post that was rolled back
+ * @param {string[]} paths - Paths relative to the uploads directory
+ */
+export function removeStoredImages(paths) {
+  for (const path of paths) {
+    removeUpload(config.uploads.dir, path);
+  }
+}
+
+/**
+ * Store loaded images and link them to a post
+ * The image flagged as cover (or the first one) becomes the post cover.
+ * @returns {Array<{id: number, url: string, cover: boolean}>} Created media rows
+ */
+function attachImages(postId, images, storedPaths) {
+  const db = getDb();
+  const flagged = images.findIndex(image => image.cover);
+  const coverIndex = flagged === -1 ? 0 : flagged;
+
+  return images.map((image, index) => {
+    const saved = saveBuffer({
+      buffer: image.buffer,
+      mimetype: image.mime,
+      limit: config.uploads.maxFileSize,
+      uploadsDir: config.uploads.dir,
+      baseUrl: config.server.baseUrl,
+    });
+    storedPaths.push(saved.path);
+
+    const result = db.prepare(`
+      INSERT INTO media (post_id, kind, path, url, mime, size_bytes, width, height, alt, caption, sort_order)
+      VALUES (?, 'image', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      postId, saved.path, saved.url, saved.mime, saved.size_bytes,
+      saved.width, saved.height, image.alt, image.caption, index
+    );
+
+    const mediaId = result.lastInsertRowid;
+    if (index === coverIndex) {
+      db.prepare('UPDATE posts SET cover_media_id = ? WHERE id = ?').run(mediaId, postId);
+    }
+    emitMediaEvent(mediaId, { actor: 'ingest' });
+
+    return { id: mediaId, url: saved.url, cover: index === coverIndex };
+  });
+}
+
+/**
+ * Insert a draft post from validated ingest data
+ * Synchronous so it can run inside a better-sqlite3 transaction.
+ * Schedules auto-publish when the owning user has it enabled.
+ * @param {object} data - Validated ingest data
+ * @param {object} [options]
+ * @param {string|null} [options.idempotencyKey] - Idempotency key to store with the post
+ * @param {Array} [options.images] - Images from loadIngestImages
+ * @param {string[]} [options.storedPaths] - Collects written image paths for cleanup on rollback
+ * @returns {{id: number, slug: string, media: Array, autoPublishScheduled: boolean, publishAt: Date|null, userId: number|null}}
+ */
+export function createIngestedPost(data, { idempotencyKey = null, images = [], storedPaths = [] } = {}) {
+  const db = getDb();
+
+  const slug = generateUniqueSlugSync(
+    data.text,
+    (candidate) => isSlugTaken(candidate)
+  );
+  const summary = generateSummary(data.text);
+
+  const result = db.prepare(`
+    INSERT INTO posts (slug, title, text, summary, status, source, ext_id, tag, link, client_key, idempotency_key)
+    VALUES (?, ?, ?, ?, 'draft', ?, ?, ?, ?, ?, ?)
+  `).run(
+    slug,
+    data.title,
+    data.text,
+    summary,
+    data.source,
+    data.ext_id,
+    data.tag,
+    data.link,
+    data.client_key,
+    idempotencyKey
+  );
+
+  const id = result.lastInsertRowid;
+  const media = images.length > 0 ? attachImages(id, images, storedPaths) : [];
+  recordRevision(id, 'ingest', 'ingest_created');
+
+  let publishAt = null;
+  let userId = null;
+
+  if (data.client_key) {
+    const user = getUserByClientKey(data.client_key);
+    if (user && user.auto_publish_enabled) {
+      // Schedule for auto-publish in 6 hours
+      publishAt = schedulePostForAutoPublish(id, 6);
+      userId = user.id;
+    }
+  }
+
+  emitPostEvent('post.created', id, { actor: 'ingest' });
+
+  return { id, slug, media, autoPublishScheduled: publishAt !== null, publishAt, userId };
+}
+
+/**
+ * Check whether an error is a UNIQUE violation of the ingest idempotency indexes
+ * @param {Error} err - Error thrown by better-sqlite3
+ * @returns {boolean}
+ */
+export function isIngestConflictError(err) {
+  return Boolean(err)
+    && err.code === 'SQLITE_CONSTRAINT_UNIQUE'
+    && !String(err.message).includes('posts.slug');
+}
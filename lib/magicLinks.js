@@ -51,7 +51,8 @@ export function findValidMagicLink(token) {
       ml.expires_at,
       ml.used_at,
       u.email,
-      u.role
+      u.role,
+      u.client_key
     FROM magic_links ml
     JOIN users u ON u.id = ml.user_id
     WHERE ml.token = ?
@@ -0,0 +1,89 @@
+import { sanitizeContent } from './sanitize.js';
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Emphasis, links and mentions on escaped text; code spans are left alone
+function renderInline(text) {
+  return text.split(/(`[^`\n]+`)/).map((part, index) => {
+    if (index % 2 === 1) {
+      return `<code>${part.slice(1, -1)}</code>`;
+    }
+    return part
+      .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank">$1</a>')
+      .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w*])\*([^*\n]+)\*(?!\w)/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w])_([^_\n]+)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w.@/])(@[\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g, '$1<strong>$2</strong>');
+  }).join('');
+}
+
+/**
+ * Render the markdown of a comment as HTML
+ * Supports paragraphs, line breaks, **bold**, *italic*, `code`, fenced code blocks, > quotes,
+ * - and 1. lists, [links](https://…) and @mentions. Raw HTML in the input is shown as text.
+ * @param {string} markdown - Markdown source
+ * @returns {string} Sanitized HTML
+ */
+export function renderMarkdown(markdown) {
+  const lines = escapeHtml(String(markdown || '')).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    if (line.startsWith('```')) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].startsWith('```')) {
+        code.push(lines[i++]);
+      }
+      i++;
+      blocks.push(`<pre><code>${code.join('\n')}</code></pre>`);
+      continue;
+    }
+
+    if (/^&gt;\s?/.test(line)) {
+      const quote = [];
+      while (i < lines.length && /^&gt;\s?/.test(lines[i])) {
+        quote.push(lines[i++].replace(/^&gt;\s?/, ''));
+      }
+      blocks.push(`<blockquote>${renderInline(quote.join('<br>'))}</blockquote>`);
+      continue;
+    }
+
+    const listItem = /^\s*(?:([-*])|(\d+)\.)\s+(.*)$/.exec(line);
+    if (listItem) {
+      const ordered = Boolean(listItem[2]);
+      const items = [];
+      let match;
+      while (i < lines.length && (match = /^\s*(?:([-*])|(\d+)\.)\s+(.*)$/.exec(lines[i])) && Boolean(match[2]) === ordered) {
+        items.push(`<li>${renderInline(match[3])}</li>`);
+        i++;
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      blocks.push(`<${tag}>${items.join('')}</${tag}>`);
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !lines[i].startsWith('```') && !/^&gt;\s?/.test(lines[i])
+      && !/^\s*(?:[-*]|\d+\.)\s+/.test(lines[i])) {
+      paragraph.push(lines[i++]);
+    }
+    blocks.push(`<p>${renderInline(paragraph.join('<br>'))}</p>`);
+  }
+
+  return sanitizeContent(blocks.join('\n'));
+}
@@ -1,7 +1,7 @@
-import { createWriteStream, mkdirSync, existsSync } from 'fs';
+import { createWriteStream, mkdirSync, existsSync, writeFileSync, unlinkSync, openSync, readSync, closeSync } from 'fs';
 import { extname, join } from 'path';
 import { randomUUID } from 'crypto';
-import { validateMediaSignature } from './mediaValidator.js';
+import { validateMediaSignature, detectImageSize } from './mediaValidator.js';
 
 const MIME_EXT = {
   'image/jpeg': '.jpg',
@@ -12,18 +12,27 @@ const MIME_EXT = {
 
 export const ALLOWED_MIME = Object.keys(MIME_EXT);
 
+// JPEG dimensions follow the EXIF block, which can be up to 64 KB
+const SIZE_HEADER_BYTES = 256 * 1024;
+
 /**
- * Save an uploaded file stream to disk under uploads/YYYY/MM/uuid.ext
- * Returns { path, url, mime, size }
+ * Read image dimensions from the header of a stored file
  */
-export async function saveUpload({ file, filename, mimetype, limit, uploadsDir, baseUrl }) {
-  if (!ALLOWED_MIME.includes(mimetype)) {
-    const err = new Error('Unsupported media type');
-    err.statusCode = 415;
-    err.code = 'UNSUPPORTED_MEDIA_TYPE';
-    throw err;
+function readImageSize(absPath) {
+  const fd = openSync(absPath, 'r');
+  try {
+    const header = Buffer.alloc(SIZE_HEADER_BYTES);
+    const bytesRead = readSync(fd, header, 0, SIZE_HEADER_BYTES, 0);
+    return detectImageSize(header.subarray(0, bytesRead));
+  } finally {
+    closeSync(fd);
   }
+}
 
+/**
+ * Build uploads/YYYY/MM for the current month, creating it if needed
+ */
+function monthDir(uploadsDir) {
   const now = new Date();
   const year = String(now.getFullYear());
   const month = String(now.getMonth() + 1).padStart(2, '0');
@@ -33,6 +42,23 @@ export async function saveUpload({ file, filename, mimetype, limit, uploadsDir,
     mkdirSync(subdir, { recursive: true });
   }
 
+  return { subdir, prefix: `/${year}/${month}` };
+}
+
+/**
+ * Save an uploaded file stream to disk under uploads/YYYY/MM/uuid.ext
+ * Returns { path, url, mime, size_bytes, width, height }
+ */
+export async function saveUpload({ file, filename, mimetype, limit, uploadsDir, baseUrl }) {
+  if (!ALLOWED_MIME.includes(mimetype)) {
+    const err = new Error('Unsupported media type');
+    err.statusCode = 415;
+    err.code = 'UNSUPPORTED_MEDIA_TYPE';
+    throw err;
+  }
+
+  const { subdir, prefix } = monthDir(uploadsDir);
+
   const ext = MIME_EXT[mimetype] || extname(filename) || '.bin';
   const id = randomUUID();
   const fname = `${id}${ext}`;
@@ -75,8 +101,73 @@ export async function saveUpload({ file, filename, mimetype, limit, uploadsDir,
     file.pipe(ws);
   });
 
-  const relPath = `/${year}/${month}/${fname}`;
+  const relPath = `${prefix}/${fname}`;
   const url = `${baseUrl.replace(/\/$/, '')}/media${relPath}`;
+  const dimensions = readImageSize(absPath);
 
-  return { path: relPath, url, mime: mimetype, size_bytes: size };
+  return {
+    path: relPath,
+    url,
+    mime: mimetype,
+    size_bytes: size,
+    width: dimensions?.width ?? null,
+    height: dimensions?.height ?? null,
+  };
+}
+
+/**
+ * Save an in-memory image to disk under uploads/YYYY/MM/uuid.ext
+ * Applies the same MIME, signature and size checks as saveUpload.
+ * Synchronous so it can be used inside SQLite transactions.
+ * Returns { path, url, mime, size_bytes, width, height }
+ */
+export function saveBuffer({ buffer, mimetype, limit, uploadsDir, baseUrl }) {
+  if (!ALLOWED_MIME.includes(mimetype)) {
+    const err = new Error('Unsupported media type');
+    err.statusCode = 415;
+    err.code = 'UNSUPPORTED_MEDIA_TYPE';
+    throw err;
+  }
+
+  if (!validateMediaSignature(buffer, mimetype)) {
+    const err = new Error('File signature does not match MIME type');
+    err.statusCode = 415;
+    err.code = 'INVALID_FILE_SIGNATURE';
+    throw err;
+  }
+
+  if (limit && buffer.length > limit) {
+    const err = new Error('File too large');
+    err.statusCode = 413;
+    err.code = 'PAYLOAD_TOO_LARGE';
+    throw err;
+  }
+
+  const { subdir, prefix } = monthDir(uploadsDir);
+  const fname = `${randomUUID()}${MIME_EXT[mimetype]}`;
+  writeFileSync(join(subdir, fname), buffer);
+
+  const relPath = `${prefix}/${fname}`;
+  const url = `${baseUrl.replace(/\/$/, '')}/media${relPath}`;
+  const dimensions = detectImageSize(buffer);
+
+  return {
+    path: relPath,
+    url,
+    mime: mimetype,
+    size_bytes: buffer.length,
+    width: dimensions?.width ?? null,
+    height: dimensions?.height ?? null,
+  };
+}
+
+/**
+ * Remove a stored file by its path relative to the uploads directory
+ * Missing files are ignored.
+ */
+export function removeUpload(uploadsDir, relPath) {
+  const absPath = join(uploadsDir, relPath);
+  if (existsSync(absPath)) {
+    unlinkSync(absPath);
+  }
 }
@@ -55,7 +55,7 @@ export async function generateImageWithTemplate({ imageBuffer, imageName, prompt
   formData.append('size', config.openai.size);
   formData.append('quality', config.openai.quality);
 
-  const response = await fetch('https://api.openai.com/v1/images/edits', {
+  const response = await fetch(`${config.openai.baseUrl}/images/edits`, {
     method: 'POST',
     headers: {
       'Authorization': `Bearer ${apiKey}`,
@@ -99,7 +99,7 @@ export async function generateImage({ prompt }) {
     throw new Error('OPENAI_API_KEY is not configured');
   }
 
-  const response = await fetch('https://api.openai.com/v1/images/generations', {
+  const response = await fetch(`${config.openai.baseUrl}/images/generations`, {
     method: 'POST',
     headers: {
       'Authorization': `Bearer ${apiKey}`,
@@ -160,8 +160,9 @@ export async function moderatePostContent({ text, promptTemplate }) {
   // Replace placeholder
   prompt = prompt.replace(/\{\{text\}\}/g, text.slice(0, 3000));
 
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
+  const response = await fetch(`${config.openai.baseUrl}/chat/completions`, {
     method: 'POST',
+    signal: AbortSignal.timeout(config.openai.textTimeoutMs),
     headers: {
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json',
@@ -236,8 +237,9 @@ Regeln:
     ? `Kategorie: ${tag}\n\nArtikelinhalt:\n${description.slice(0, 1000)}`
     : `Artikelinhalt:\n${description.slice(0, 1000)}`;
 
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
+  const response = await fetch(`${config.openai.baseUrl}/chat/completions`, {
     method: 'POST',
+    signal: AbortSignal.timeout(config.openai.textTimeoutMs),
     headers: {
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json',
@@ -265,3 +267,79 @@ Regeln:
   // Ensure max 50 characters
   return title.slice(0, 50);
 }
+
+/**
+ * Send a chat completion request and return the message text
+ * @param {Array} messages - Chat messages
+ * @param {object} options - { maxTokens, temperature }
+ * @returns {Promise<string>} Trimmed message content
+ */
+async function chatCompletion(messages, { maxTokens, temperature }) {
+  const apiKey = config.openai.apiKey;
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY is not configured');
+  }
+
+  const response = await fetch(`${config.openai.baseUrl}/chat/completions`, {
+    method: 'POST',
+    signal: AbortSignal.timeout(config.openai.textTimeoutMs),
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      model: config.openai.textModel,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+    }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message || response.statusText;
+    throw new Error(`OpenAI API error: ${errorMessage}`);
+  }
+
+  const data = await response.json();
+  return data.choices?.[0]?.message?.content?.trim() || '';
+}
+
+/**
+ * Pick the feed item with the highest news value
+ * Replaces the scoring route of the Make "Step 1" scenario
+ * @param {object} params
+ * @param {Array<{title: string, link: string, categories: string[]}>} params.items - Candidate items
+ * @returns {Promise<number>} Index of the chosen item, -1 if the answer matches none
+ */
+export async function scoreFeedItems({ items }) {
+  const candidates = items.map((item, index) => ({
+    index,
+    title: item.title,
+    url: item.link,
+    categories: item.categories,
+  }));
+
+  const content = await chatCompletion([
+    { role: 'system', content: loadPromptTemplate('feed-scoring') },
+    { role: 'user', content: JSON.stringify(candidates) },
+  ], { maxTokens: 20, temperature: 0 });
+
+  const index = parseInt(content.match(/\d+/)?.[0], 10);
+  return Number.isInteger(index) && index >= 0 && index < items.length ? index : -1;
+}
+
+/**
+ * Write a LinkedIn-style German article about a feed item
+ * Replaces the generation route of the Make "Step 1" scenario
+ * @param {object} params
+ * @param {string} params.title - Item title
+ * @param {string} [params.description] - Item description
+ * @returns {Promise<string>} Article text
+ */
+export async function generateFeedArticle({ title, description }) {
+  return chatCompletion([
+    { role: 'system', content: loadPromptTemplate('feed-article') },
+    { role: 'user', content: `${title}: ${(description || '').slice(0, 3000)}` },
+  ], { maxTokens: 1200, temperature: 0.7 });
+}
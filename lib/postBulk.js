@@ -0,0 +1,291 @@
+import { getDb } from '../db/index.js';
+import { ValidationError } from './validation.js';
+import { logAudit } from './audit.js';
+import { emitPostEvent } from './webhooks.js';
+import { recordRevision } from './revisions.js';
+import { searchPostIds } from './search.js';
+import { trashPost, restorePost } from './trash.js';
+import { validatePublishAt, schedulePost } from './schedule.js';
+import { transitionPost, canTransition, SCHEDULABLE_STATUSES } from './postWorkflow.js';
+
+export const BULK_ACTIONS = [
+  'publish', 'unpublish', 'archive', 'delete', 'restore', 'retag', 'reassign', 'schedule', 'moderate',
+];
+
+// Actions that move posts out of an editor's reach
+export const ADMIN_BULK_ACTIONS = ['reassign'];
+
+export const MAX_BULK_POSTS = 1000;
+
+function optionalString(value, field, code) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') {
+    throw new ValidationError(`${field} must be a string`, code);
+  }
+  const trimmed = value.trim();
+  if (trimmed.length > 100) {
+    throw new ValidationError(`${field} exceeds maximum length of 100 characters`, code);
+  }
+  return trimmed || null;
+}
+
+/**
+ * Validate a bulk request
+ * The selection is either ids or all_matching with the list filters (status, client_key, q).
+ * @param {object} body - Request body
+ * @returns {{action: string, ids: number[]|null, filters: object|null, tag?: string|null, clientKey?: string|null, publishAt?: string}}
+ * @throws {ValidationError}
+ */
+export function validateBulkInput(body = {}) {
+  const { action, ids, all_matching: allMatching, filters } = body;
+
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new ValidationError(`action must be one of: ${BULK_ACTIONS.join(', ')}`, 'INVALID_BULK_ACTION');
+  }
+
+  const input = { action, ids: null, filters: null };
+
+  if (allMatching === true || allMatching === 'true') {
+    const raw = filters && typeof filters === 'object' ? filters : {};
+    input.filters = {
+      status: raw.status && raw.status !== 'all' ? String(raw.status) : null,
+      clientKey: raw.client_key && raw.client_key !== 'all' ? String(raw.client_key) : null,
+      q: typeof raw.q === 'string' ? raw.q.trim() : '',
+    };
+  } else {
+    const list = Array.isArray(ids) ? ids.map(Number) : [];
+    if (list.length === 0 || !list.every(id => Number.isInteger(id) && id > 0)) {
+      throw new ValidationError('Select at least one post', 'INVALID_BULK_SELECTION');
+    }
+    if (list.length > MAX_BULK_POSTS) {
+      throw new ValidationError(`At most ${MAX_BULK_POSTS} posts per bulk action`, 'BULK_TOO_LARGE');
+    }
+    input.ids = [...new Set(list)];
+  }
+
+  if (action === 'retag') {
+    input.tag = optionalString(body.tag, 'Tag', 'INVALID_TAG');
+  }
+
+  if (action === 'reassign') {
+    input.clientKey = optionalString(body.client_key, 'client_key', 'INVALID_CLIENT_KEY');
+  }
+
+  if (action === 'schedule') {
+    input.publishAt = validatePublishAt(body);
+  }
+
+  return input;
+}
+
+/**
+ * Load the posts a bulk request applies to
+ * @param {object} input - Validated input
+ * @param {string|null} scopeClientKey - Restrict to this client_key (editors), null for no restriction
+ * @returns {{posts: Array, missing: number[]}} missing: requested ids that do not exist or are out of scope
+ * @throws {ValidationError} BULK_TOO_LARGE if the filter matches too many posts
+ */
+export function selectBulkPosts(input, scopeClientKey = null) {
+  const db = getDb();
+
+  let ids = input.ids;
+  const whereClauses = [];
+  const params = [];
+
+  if (!ids) {
+    const { status, q } = input.filters;
+    const clientKey = scopeClientKey || input.filters.clientKey;
+
+    if (q) {
+      ids = searchPostIds({ q, status, clientKey });
+    } else {
+      if (status === 'trash') {
+        whereClauses.push('deleted_at IS NOT NULL');
+      } else {
+        whereClauses.push('deleted_at IS NULL');
+        if (status === 'scheduled') {
+          whereClauses.push(`status IN (${SCHEDULABLE_STATUSES.map(() => '?').join(', ')})`, 'publish_at IS NOT NULL');
+          params.push(...SCHEDULABLE_STATUSES);
+        } else if (status) {
+          whereClauses.push('status = ?');
+          params.push(status);
+        }
+      }
+      if (clientKey === 'none') {
+        whereClauses.push('client_key IS NULL');
+      } else if (clientKey) {
+        whereClauses.push('client_key = ?');
+        params.push(clientKey);
+      }
+    }
+  }
+
+  if (ids) {
+    if (ids.length === 0) {
+      return { posts: [], missing: [] };
+    }
+    whereClauses.push(`id IN (${ids.map(() => '?').join(', ')})`);
+    params.push(...ids);
+  }
+
+  if (scopeClientKey) {
+    whereClauses.push('client_key = ?');
+    params.push(scopeClientKey);
+  }
+
+  const where = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+  const posts = db.prepare(`SELECT * FROM posts ${where} ORDER BY id LIMIT ?`).all(...params, MAX_BULK_POSTS + 1);
+
+  if (posts.length > MAX_BULK_POSTS) {
+    throw new ValidationError(`The filter matches more than ${MAX_BULK_POSTS} posts`, 'BULK_TOO_LARGE');
+  }
+
+  const found = new Set(posts.map(post => post.id));
+  const missing = input.ids ? input.ids.filter(id => !found.has(id)) : [];
+
+  return { posts, missing };
+}
+
+/**
+ * Apply one action to a post
+ * @returns {string|null|object} Skip reason, or null/{ after } when the post was changed
+ */
+function applyToPost(db, post, input, actor, role, now) {
+  if (post.deleted_at && input.action !== 'restore') return 'in_trash';
+
+  const transition = { actor, role, auditExtra: { bulk: true } };
+
+  switch (input.action) {
+    case 'publish': {
+      if (post.status === 'published') return 'already_published';
+      if (!canTransition(post, 'publish')) return 'not_approved';
+      transitionPost(post, 'publish', transition);
+      return null;
+    }
+
+    case 'unpublish': {
+      if (post.status !== 'published') return 'not_published';
+      transitionPost(post, 'unpublish', transition);
+      return null;
+    }
+
+    case 'archive': {
+      if (post.status === 'archived') return 'already_archived';
+      transitionPost(post, 'archive', transition);
+      return null;
+    }
+
+    case 'delete': {
+      trashPost(post, actor, { bulk: true });
+      return null;
+    }
+
+    case 'restore': {
+      if (!post.deleted_at) return 'not_in_trash';
+      restorePost(post, actor, { bulk: true });
+      return null;
+    }
+
+    case 'retag': {
+      if ((post.tag || null) === input.tag) return 'unchanged';
+      db.prepare(`
+        UPDATE posts SET tag = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(input.tag, post.id);
+      recordRevision(post.id, actor, 'updated');
+      logAudit(post.id, actor, 'post_updated', { fields: ['tag'], tag: { from: post.tag, to: input.tag }, bulk: true });
+      emitPostEvent('post.updated', post.id, { actor, fields: ['tag'] });
+      return { after: { ...post, tag: input.tag } };
+    }
+
+    case 'reassign': {
+      if ((post.client_key || null) === input.clientKey) return 'unchanged';
+      db.prepare('UPDATE posts SET client_key = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(input.clientKey, post.id);
+      logAudit(post.id, actor, 'post_client_key_changed', { from: post.client_key, to: input.clientKey, bulk: true });
+      emitPostEvent('post.updated', post.id, { actor, fields: ['client_key'] });
+      return { after: { ...post, client_key: input.clientKey } };
+    }
+
+    case 'schedule': {
+      if (!SCHEDULABLE_STATUSES.includes(post.status)) return 'not_schedulable';
+      schedulePost(post, input.publishAt, actor, { bulk: true });
+      return null;
+    }
+
+    case 'moderate': {
+      // Rejected posts and scheduled posts go back into the moderation queue of the auto-publish worker
+      const moderation = {
+        publish_at: post.publish_at || now,
+        scheduled_by: null,
+        moderation_checked_at: null,
+        moderation_reason: null,
+      };
+
+      if (post.status === 'warning') {
+        transitionPost(post, 'requeue', {
+          ...transition,
+          changes: moderation,
+          auditExtra: { previous_reason: post.moderation_reason, bulk: true },
+        });
+        return null;
+      }
+
+      // Scheduled posts keep their status, and with it a review already done
+      if (!SCHEDULABLE_STATUSES.includes(post.status) || !post.publish_at) return 'not_moderated';
+      db.prepare(`
+        UPDATE posts
+        SET scheduled_by = NULL, moderation_checked_at = NULL, moderation_reason = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(post.id);
+      logAudit(post.id, actor, 'post_moderation_requeued', {
+        previous_status: post.status,
+        previous_reason: post.moderation_reason,
+        bulk: true,
+      });
+      return null;
+    }
+
+    default:
+      return 'unsupported';
+  }
+}
+
+/**
+ * Apply a bulk action to the selected posts in one transaction, with an audit entry per changed post
+ * @param {Array} posts - Post rows from selectBulkPosts
+ * @param {object} input - Validated input
+ * @param {string} actor - Who applies the action
+ * @param {string} role - Role of the actor, for the status transitions
+ * @returns {{updated: number[], skipped: Array<{id: number, reason: string}>, feedPosts: Array}}
+ *   feedPosts: { client_key, tag } of every published post whose feeds changed, for one rssInvalidate call
+ */
+export function applyBulkAction(posts, input, actor, role) {
+  const db = getDb();
+  const now = new Date().toISOString();
+
+  const run = db.transaction(() => {
+    const updated = [];
+    const skipped = [];
+    const feedPosts = [];
+
+    for (const post of posts) {
+      const result = applyToPost(db, post, input, actor, role, now);
+
+      if (typeof result === 'string') {
+        skipped.push({ id: post.id, reason: result });
+        continue;
+      }
+
+      updated.push(post.id);
+
+      const wasPublished = post.status === 'published';
+      if (wasPublished || input.action === 'publish') {
+        feedPosts.push(post);
+        if (result?.after && wasPublished) feedPosts.push(result.after);
+      }
+    }
+
+    return { updated, skipped, feedPosts };
+  });
+
+  return run();
+}
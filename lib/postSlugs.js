@@ -0,0 +1,86 @@
+import { getDb } from '../db/index.js';
+import { ValidationError } from './validation.js';
+import { logAudit } from './audit.js';
+import { generateUniqueSlugSync } from './slugify.js';
+
+const MAX_SLUG_LENGTH = 80;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Validate a slug typed by a user
+ * @param {*} value - Slug from the request
+ * @returns {string} Slug, trimmed and lower-cased
+ * @throws {ValidationError} INVALID_SLUG
+ */
+export function validateSlug(value) {
+  const slug = typeof value === 'string' ? value.trim().toLowerCase() : '';
+
+  if (slug.length < 3 || slug.length > MAX_SLUG_LENGTH) {
+    throw new ValidationError(`slug must be between 3 and ${MAX_SLUG_LENGTH} characters`, 'INVALID_SLUG');
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new ValidationError('slug may only contain a-z, 0-9 and single hyphens between words', 'INVALID_SLUG');
+  }
+
+  return slug;
+}
+
+/**
+ * Whether a slug is in use by another post, now or in the past
+ * Old slugs stay reserved so their redirects keep pointing to the same post.
+ * @param {string} slug - Slug to check
+ * @param {number|null} [postId] - Post that may use it
+ * @returns {boolean}
+ */
+export function isSlugTaken(slug, postId = null) {
+  const db = getDb();
+
+  return Boolean(
+    db.prepare('SELECT 1 FROM posts WHERE slug = ? AND id IS NOT ?').get(slug, postId)
+    || db.prepare('SELECT 1 FROM slug_history WHERE slug = ? AND post_id IS NOT ?').get(slug, postId)
+  );
+}
+
+/**
+ * Slug generated from the title of a post, or the start of its text without a title
+ * @param {object} post - Post row
+ * @returns {string} Slug not taken by another post
+ */
+export function slugFromTitle(post) {
+  const source = post.title && post.title.trim() ? post.title : post.text;
+  return generateUniqueSlugSync(source, candidate => isSlugTaken(candidate, post.id));
+}
+
+/**
+ * Give a post a new slug and keep the old one in slug_history for redirects
+ * Synchronous so it can run inside a surrounding transaction.
+ * @param {object} post - Post row
+ * @param {string} slug - New slug, validated and not taken
+ * @param {string} actor - Who changes it
+ */
+export function changePostSlug(post, slug, actor) {
+  const db = getDb();
+
+  // Going back to an earlier slug keeps its history row, so the first slug stays the feed GUID
+  db.prepare('INSERT OR IGNORE INTO slug_history (post_id, slug, changed_by) VALUES (?, ?, ?)').run(post.id, post.slug, actor);
+  db.prepare('UPDATE posts SET slug = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(slug, post.id);
+
+  logAudit(post.id, actor, 'post_slug_changed', { slug, previous_slug: post.slug });
+}
+
+/**
+ * Earlier slugs of a post, oldest first
+ * @param {number} postId - Post ID
+ * @returns {Array<{slug: string, changed_by: string|null, created_at: string}>}
+ */
+export function listSlugHistory(postId) {
+  const db = getDb();
+
+  return db.prepare(`
+    SELECT h.slug, h.changed_by, h.created_at
+    FROM slug_history h
+    JOIN posts p ON p.id = h.post_id
+    WHERE h.post_id = ? AND h.slug != p.slug
+    ORDER BY h.id
+  `).all(postId);
+}
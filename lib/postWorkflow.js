@@ -0,0 +1,245 @@
+import { getDb } from '../db/index.js';
+import { ValidationError } from './validation.js';
+import { logAudit } from './audit.js';
+import { emitPostEvent } from './webhooks.js';
+
+export const POST_STATUSES = ['draft', 'in_review', 'approved', 'published', 'archived', 'warning'];
+
+// Roles that may approve posts or send them back with a comment
+export const REVIEWER_ROLES = ['reviewer', 'admin'];
+
+// Statuses a publish time can be set on; the auto-publish worker only publishes approved posts
+export const SCHEDULABLE_STATUSES = ['draft', 'in_review', 'approved'];
+
+export class WorkflowError extends Error {
+  constructor(message, code, statusCode = 409, details = null) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Every status change of a post
+ * roles: who may trigger it (any signed-in user if missing; the system always may);
+ * comment: whether a comment is required; audit: action name in the audit log.
+ */
+const TRANSITIONS = {
+  submit: {
+    from: ['draft'],
+    to: 'in_review',
+    audit: 'post_submitted_for_review',
+  },
+  approve: {
+    from: ['in_review'],
+    to: 'approved',
+    roles: REVIEWER_ROLES,
+    audit: 'post_approved',
+  },
+  request_changes: {
+    from: ['in_review', 'approved'],
+    to: 'draft',
+    roles: REVIEWER_ROLES,
+    comment: true,
+    audit: 'post_changes_requested',
+  },
+  // An approved or published post whose content changes needs a new approval; a published one goes offline
+  reopen: {
+    from: ['approved', 'published'],
+    to: 'in_review',
+    audit: 'post_review_reopened',
+  },
+  publish: {
+    from: ['approved'],
+    to: 'published',
+    audit: 'post_published',
+  },
+  unpublish: {
+    from: ['published'],
+    to: 'draft',
+    audit: 'post_unpublished',
+  },
+  archive: {
+    from: ['draft', 'in_review', 'approved', 'published', 'warning'],
+    to: 'archived',
+    audit: 'post_archived',
+  },
+  unarchive: {
+    from: ['archived'],
+    to: 'draft',
+    audit: 'post_unarchived',
+  },
+  // Moderation rejected the post
+  reject: {
+    from: SCHEDULABLE_STATUSES,
+    to: 'warning',
+    roles: [],
+    audit: 'post_moderation_rejected',
+  },
+  // Back into the moderation queue after a rejection
+  requeue: {
+    from: ['warning'],
+    to: 'draft',
+    audit: 'post_moderation_requeued',
+  },
+};
+
+export const WORKFLOW_ACTIONS = Object.keys(TRANSITIONS);
+
+/**
+ * Whether a post may take a transition, ignoring roles
+ * @param {object} post - Post row
+ * @param {string} action - Transition name
+ * @returns {boolean}
+ */
+export function canTransition(post, action) {
+  const transition = TRANSITIONS[action];
+  return Boolean(transition) && !post.deleted_at && transition.from.includes(post.status);
+}
+
+/**
+ * Transitions the given role may start on the post, for the editor's buttons
+ * @param {object} post - Post row
+ * @param {string} role - User role
+ * @returns {string[]}
+ */
+export function availableTransitions(post, role) {
+  return WORKFLOW_ACTIONS.filter(action => {
+    const { roles } = TRANSITIONS[action];
+    return canTransition(post, action) && (!roles || roles.includes(role));
+  });
+}
+
+// Columns a transition sets besides the status
+function transitionChanges(post, action, actor, comment, now) {
+  switch (action) {
+    case 'submit':
+      return {
+        submitted_by: actor,
+        submitted_at: now,
+        reviewed_by: null,
+        reviewed_at: null,
+        review_decision: null,
+        review_comment: null,
+      };
+    case 'approve':
+      return { reviewed_by: actor, reviewed_at: now, review_decision: 'approved', review_comment: comment };
+    case 'request_changes':
+      return { reviewed_by: actor, reviewed_at: now, review_decision: 'changes_requested', review_comment: comment };
+    case 'reopen':
+      return { reviewed_by: null, reviewed_at: null, review_decision: null, review_comment: null };
+    case 'publish':
+      return { pub_date: post.pub_date || now };
+    case 'archive':
+      return { publish_at: null, scheduled_by: null };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Send a post back to review after its content changed
+ * Approved and published posts are reopened; drafts and posts in review keep their status.
+ * Synchronous so it runs in the transaction that changed the content.
+ * @param {object} post - Post row as it was before the change
+ * @param {object} options - See transitionPost
+ * @returns {{from: string, to: string}|null} null if the status stays
+ */
+export function reopenAfterEdit(post, options) {
+  return canTransition(post, 'reopen') ? transitionPost(post, 'reopen', options) : null;
+}
+
+/**
+ * Change the status of a post
+ * The single place where posts move between statuses: checks the transition, the role and the four-eyes rule,
+ * writes the audit entry and the post.published / post.unpublished webhooks.
+ * Synchronous so it can run inside a surrounding transaction.
+ * @param {object} post - Post row
+ * @param {string} action - Transition name, see WORKFLOW_ACTIONS
+ * @param {object} options
+ * @param {string} options.actor - Who changes the status, 'system' for workers
+ * @param {string} [options.role='system'] - Role of the actor
+ * @param {string} [options.comment] - Review comment; required for request_changes
+ * @param {object} [options.changes] - Additional column values, e.g. moderation fields
+ * @param {string} [options.auditAction] - Audit action instead of the transition's default
+ * @param {object} [options.auditExtra] - Additional audit payload, e.g. { bulk: true }
+ * @param {object} [options.eventExtra] - Additional webhook event data
+ * @returns {{from: string, to: string}}
+ * @throws {WorkflowError} POST_IN_TRASH, INVALID_STATUS, REVIEWER_REQUIRED or SELF_REVIEW
+ * @throws {ValidationError} COMMENT_REQUIRED or INVALID_COMMENT
+ */
+export function transitionPost(post, action, {
+  actor,
+  role = 'system',
+  comment = null,
+  changes = {},
+  auditAction = null,
+  auditExtra = {},
+  eventExtra = {},
+} = {}) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown post transition: ${action}`);
+  }
+
+  if (post.deleted_at) {
+    throw new WorkflowError('Post is in the trash, restore it first', 'POST_IN_TRASH');
+  }
+  if (role !== 'system' && transition.roles && !transition.roles.includes(role)) {
+    throw new WorkflowError('Only reviewers can do this', 'REVIEWER_REQUIRED', 403);
+  }
+  if (!transition.from.includes(post.status)) {
+    throw new WorkflowError(
+      `A post that is ${post.status.replace('_', ' ')} cannot be changed this way`,
+      'INVALID_STATUS',
+      409,
+      { status: post.status, action, allowed_from: transition.from }
+    );
+  }
+  // Four eyes: whoever submitted a post or last changed its content does not approve it
+  if (action === 'approve' && (post.submitted_by === actor || post.last_edited_by === actor)) {
+    throw new WorkflowError('A post cannot be approved by the person who submitted or last edited it', 'SELF_REVIEW', 403);
+  }
+
+  const trimmedComment = typeof comment === 'string' && comment.trim() ? comment.trim() : null;
+  if (transition.comment && !trimmedComment) {
+    throw new ValidationError('A comment is required', 'COMMENT_REQUIRED');
+  }
+  if (trimmedComment && trimmedComment.length > 2000) {
+    throw new ValidationError('Comment exceeds maximum length of 2000 characters', 'INVALID_COMMENT');
+  }
+
+  const now = new Date().toISOString();
+  const values = {
+    ...transitionChanges(post, action, actor, trimmedComment, now),
+    ...changes,
+    status: transition.to,
+  };
+  const columns = Object.keys(values);
+
+  getDb().prepare(`
+    UPDATE posts SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(...columns.map(column => values[column]), post.id);
+
+  logAudit(post.id, actor, auditAction || transition.audit, {
+    previous_status: post.status,
+    ...(action === 'publish' ? { pub_date_set: !post.pub_date } : {}),
+    ...(trimmedComment ? { comment: trimmedComment } : {}),
+    ...auditExtra,
+  });
+
+  if (transition.to === 'published') {
+    emitPostEvent('post.published', post.id, { actor, previous_status: post.status, ...eventExtra });
+  } else if (post.status === 'published') {
+    emitPostEvent('post.unpublished', post.id, {
+      actor,
+      previous_status: post.status,
+      ...(action === 'archive' ? { archived: true } : {}),
+      ...eventExtra,
+    });
+  }
+
+  return { from: post.status, to: transition.to };
+}
@@ -0,0 +1,180 @@
+import { getDb } from '../db/index.js';
+import { sanitizeContent } from './sanitize.js';
+
+/**
+ * Parse a stored date; SQLite CURRENT_TIMESTAMP values are UTC without a zone designator
+ * @param {string|null} value - ISO string or SQLite datetime
+ * @returns {Date|null}
+ */
+export function parseDbDate(value) {
+  if (!value) return null;
+  const s = String(value);
+  return new Date(/Z|[+-]\d\d:?\d\d$/.test(s) ? s : s.replace(' ', 'T') + 'Z');
+}
+
+/**
+ * Public permalink of a post
+ * @param {string} baseUrl - Public base URL
+ * @param {string} slug - Post slug
+ * @returns {string} Absolute URL of /p/:slug
+ */
+export function postUrl(baseUrl, slug) {
+  return `${baseUrl.replace(/\/$/, '')}/p/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Display title of a post, falling back to the start of its text
+ * @param {{title: string|null, text: string}} post
+ * @returns {string}
+ */
+export function postTitle(post) {
+  if (post.title && post.title.trim().length > 0) return post.title.trim();
+  const t = post.text.replace(/\s+/g, ' ').trim();
+  return t.length > 80 ? t.slice(0, 77) + '…' : t;
+}
+
+/**
+ * Find a published post by slug
+ * @param {string} slug - Post slug
+ * @returns {object|null} Post row, null if missing or not published
+ */
+export function getPublishedPost(slug) {
+  const db = getDb();
+
+  return db.prepare(`
+    SELECT id, slug, title, text, summary, tag, link, client_key, pub_date, updated_at, cover_media_id
+    FROM posts
+    WHERE slug = ? AND status = 'published' AND deleted_at IS NULL
+  `).get(slug) || null;
+}
+
+/**
+ * Current slug of a published post that used to have the given slug
+ * @param {string} slug - Old slug
+ * @returns {string|null} Slug to redirect to, null if the slug is unknown or the post not published
+ */
+export function findMovedPostSlug(slug) {
+  const db = getDb();
+
+  const row = db.prepare(`
+    SELECT p.slug
+    FROM slug_history h
+    JOIN posts p ON p.id = h.post_id
+    WHERE h.slug = ? AND p.slug != h.slug AND p.status = 'published' AND p.deleted_at IS NULL
+  `).get(slug);
+
+  return row ? row.slug : null;
+}
+
+/**
+ * Images attached to a post, cover first, then in sort order
+ * @param {{id: number, cover_media_id: number|null}} post
+ * @returns {Array<{url, mime, size, width, height, alt, caption, cover}>}
+ */
+export function listPostImages(post) {
+  const db = getDb();
+  const columns = 'id, url, mime, size_bytes, width, height, alt, caption';
+
+  const cover = post.cover_media_id
+    ? db.prepare(`SELECT ${columns} FROM media WHERE id = ?`).get(post.cover_media_id)
+    : null;
+
+  const attached = db.prepare(`
+    SELECT ${columns} FROM media
+    WHERE post_id = ? AND is_template = 0
+    ORDER BY sort_order, id
+  `).all(post.id).filter(m => !cover || m.id !== cover.id);
+
+  return (cover ? [cover, ...attached] : attached).map(m => ({
+    url: m.url,
+    mime: m.mime,
+    size: m.size_bytes || 0,
+    width: m.width || null,
+    height: m.height || null,
+    alt: m.alt || null,
+    caption: m.caption || null,
+    cover: Boolean(cover) && m.id === cover.id,
+  }));
+}
+
+/**
+ * Render post text as sanitized HTML paragraphs
+ * Blank lines separate paragraphs, single line breaks become <br>.
+ * @param {string} text - Post text
+ * @returns {string} HTML
+ */
+export function renderPostHtml(text) {
+  return sanitizeContent(text)
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => `<p>${block.replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+/**
+ * Page of published posts, newest first
+ * @param {object} options
+ * @param {string} [options.tag] - Only posts with this tag (case-insensitive)
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.pageSize - Posts per page
+ * @returns {{posts: Array, total: number, lastModified: string|null}} posts carry cover_url and cover_alt,
+ *   lastModified is the newest updated_at of all matching posts
+ */
+export function listPublishedPosts({ tag = null, page, pageSize }) {
+  const db = getDb();
+  const published = `p.status = 'published' AND p.deleted_at IS NULL`;
+  const where = tag ? `${published} AND p.tag = ? COLLATE NOCASE` : published;
+  const params = tag ? [tag] : [];
+
+  const { total, last_modified: lastModified } = db.prepare(`
+    SELECT COUNT(*) AS total, MAX(p.updated_at) AS last_modified
+    FROM posts p
+    WHERE ${where}
+  `).get(...params);
+
+  const posts = db.prepare(`
+    SELECT p.id, p.slug, p.title, p.text, p.summary, p.tag, p.pub_date, p.updated_at,
+           m.url AS cover_url, m.alt AS cover_alt
+    FROM posts p
+    LEFT JOIN media m ON m.id = p.cover_media_id
+    WHERE ${where}
+    ORDER BY p.pub_date DESC, p.id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, pageSize, (page - 1) * pageSize);
+
+  return { posts, total, lastModified };
+}
+
+/**
+ * Tags of published posts with their post count and newest update
+ * @returns {Array<{tag: string, count: number, last_modified: string}>}
+ */
+export function listPublishedTags() {
+  const db = getDb();
+
+  return db.prepare(`
+    SELECT tag, COUNT(*) AS count, MAX(updated_at) AS last_modified
+    FROM posts
+    WHERE status = 'published' AND deleted_at IS NULL AND tag IS NOT NULL AND tag != ''
+    GROUP BY tag COLLATE NOCASE
+    ORDER BY count DESC, tag
+  `).all();
+}
+
+/**
+ * Slugs and update times of all published posts for the sitemap
+ * @param {number} limit - Maximum number of entries
+ * @returns {Array<{slug: string, updated_at: string}>}
+ */
+export function listSitemapPosts(limit) {
+  const db = getDb();
+
+  return db.prepare(`
+    SELECT slug, updated_at
+    FROM posts
+    WHERE status = 'published' AND deleted_at IS NULL
+    ORDER BY pub_date DESC, id DESC
+    LIMIT ?
+  `).all(limit);
+}
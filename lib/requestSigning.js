@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import { getDb } from '../db/index.js';
+
+/**
+ * Compute the HMAC signature of a request body
+ * The signed string is "<timestamp>.<raw body>", so the timestamp cannot be swapped.
+ * @param {string} secret - Shared signing secret
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {Buffer|string} body - Raw request body
+ * @returns {string} Hex-encoded HMAC-SHA256
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest('hex');
+}
+
+/**
+ * Verify the X-Signature header of an ingest request in constant time
+ * @param {string} secret - Shared signing secret
+ * @param {string} timestamp - X-Timestamp header value
+ * @param {Buffer} body - Raw request body
+ * @param {string} signature - X-Signature header value, "sha256=<hex>" or "<hex>"
+ * @returns {string|null} Normalized hex signature if valid, null otherwise
+ */
+export function verifyIngestSignature(secret, timestamp, body, signature) {
+  const provided = String(signature).trim().replace(/^sha256=/i, '').toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(provided)) {
+    return null;
+  }
+
+  const expected = signPayload(secret, timestamp, body);
+  const valid = crypto.timingSafeEqual(Buffer.from(provided, 'hex'), Buffer.from(expected, 'hex'));
+
+  return valid ? provided : null;
+}
+
+/**
+ * Check an X-Timestamp header against the allowed clock skew
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {number} toleranceSeconds - Allowed difference to the server clock
+ * @returns {boolean} True if the timestamp is within the window
+ */
+export function isFreshTimestamp(timestamp, toleranceSeconds) {
+  if (!/^\d{1,12}$/.test(String(timestamp))) {
+    return false;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  return Math.abs(now - parseInt(timestamp, 10)) <= toleranceSeconds;
+}
+
+/**
+ * Remember a nonce until it expires
+ * Expired nonces are purged on the way, the timestamp check rejects them anyway.
+ * @param {string} nonce - Nonce (the request signature)
+ * @param {number} expiresAt - Unix timestamp in seconds
+ * @returns {boolean} False if the nonce was already used
+ */
+export function rememberNonce(nonce, expiresAt) {
+  const db = getDb();
+  const now = Math.floor(Date.now() / 1000);
+
+  db.prepare('DELETE FROM ingest_nonces WHERE expires_at < ?').run(now);
+
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO ingest_nonces (nonce, expires_at)
+    VALUES (?, ?)
+  `).run(nonce, expiresAt);
+
+  return result.changes > 0;
+}
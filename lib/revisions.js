@@ -0,0 +1,229 @@
+import { getDb } from '../db/index.js';
+import { generateSummary } from './validation.js';
+
+/**
+ * Fields captured by a revision
+ */
+export const REVISION_FIELDS = ['title', 'text', 'tag', 'link', 'cover_media_id'];
+
+// Above this many token pairs the diff only trims the common prefix and suffix
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Snapshot the current state of a post
+ * Synchronous so it can run inside the transaction that changed the post.
+ * @param {number} postId - Post ID
+ * @param {string} actor - Who made the change
+ * @param {string} reason - What changed the post, e.g. updated, ingest_updated, auto_published
+ * @param {object} [options]
+ * @param {number|null} [options.restoredFrom] - Revision the post was restored from
+ * @returns {number|null} Revision ID, null if the post does not exist
+ */
+export function recordRevision(postId, actor, reason, { restoredFrom = null } = {}) {
+  const db = getDb();
+
+  const result = db.prepare(`
+    INSERT INTO post_revisions (post_id, version, title, text, tag, link, cover_media_id, reason, actor, restored_from)
+    SELECT id, version, title, text, tag, link, cover_media_id, ?, ?, ?
+    FROM posts WHERE id = ?
+  `).run(reason, actor, restoredFrom, postId);
+
+  return result.changes > 0 ? result.lastInsertRowid : null;
+}
+
+/**
+ * Revisions of a post, newest first, without the text
+ * @param {number} postId - Post ID
+ * @returns {Array}
+ */
+export function listRevisions(postId) {
+  const db = getDb();
+
+  return db.prepare(`
+    SELECT id, version, title, tag, link, cover_media_id, reason, actor, restored_from, created_at,
+           length(text) AS text_length
+    FROM post_revisions
+    WHERE post_id = ?
+    ORDER BY id DESC
+  `).all(postId);
+}
+
+/**
+ * Get one revision of a post
+ * @param {number} postId - Post ID
+ * @param {number} revisionId - Revision ID
+ * @returns {object|null}
+ */
+export function getRevision(postId, revisionId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM post_revisions WHERE id = ? AND post_id = ?').get(revisionId, postId) || null;
+}
+
+/**
+ * Most recent revision of a post
+ * @param {number} postId - Post ID
+ * @returns {object|null}
+ */
+export function getLatestRevision(postId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM post_revisions WHERE post_id = ? ORDER BY id DESC LIMIT 1').get(postId) || null;
+}
+
+/**
+ * The revision recorded before the given one
+ * @returns {object|null} null for the first revision
+ */
+export function getPreviousRevision(revision) {
+  const db = getDb();
+
+  return db.prepare(`
+    SELECT * FROM post_revisions
+    WHERE post_id = ? AND id < ?
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(revision.post_id, revision.id) || null;
+}
+
+function tokenize(text) {
+  return String(text || '').split(/(\s+)/).filter(token => token.length > 0);
+}
+
+function pushOp(ops, type, text) {
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    ops.push({ type, text });
+  }
+}
+
+/**
+ * Word diff of two texts (longest common subsequence over words and whitespace)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'equal'|'delete'|'insert', text: string}>} Operations turning before into after
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  if (start > 0) {
+    pushOp(ops, 'equal', a.slice(0, start).join(''));
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n > 0 && m > 0 && (n + 1) * (m + 1) <= MAX_DIFF_CELLS) {
+    // lengths[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * (m + 1) + j] = midA[i] === midB[j]
+          ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        pushOp(ops, 'equal', midA[i]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+        pushOp(ops, 'delete', midA[i++]);
+      } else {
+        pushOp(ops, 'insert', midB[j++]);
+      }
+    }
+    if (i < n) pushOp(ops, 'delete', midA.slice(i).join(''));
+    if (j < m) pushOp(ops, 'insert', midB.slice(j).join(''));
+  } else {
+    if (n > 0) pushOp(ops, 'delete', midA.join(''));
+    if (m > 0) pushOp(ops, 'insert', midB.join(''));
+  }
+
+  if (endA < a.length) {
+    pushOp(ops, 'equal', a.slice(endA).join(''));
+  }
+
+  return ops;
+}
+
+/**
+ * Compare two post states field by field, with a word diff of the text
+ * @param {object|null} before - Older revision or post row, null for the first revision
+ * @param {object} after - Newer revision or post row
+ * @returns {{fields: object, text: Array}} fields: changed fields other than text as { before, after }
+ */
+export function compareRevisions(before, after) {
+  const fields = {};
+
+  for (const field of REVISION_FIELDS) {
+    if (field === 'text') continue;
+    const old = before ? before[field] ?? null : null;
+    const current = after[field] ?? null;
+    if (old !== current) {
+      fields[field] = { before: old, after: current };
+    }
+  }
+
+  return { fields, text: diffWords(before ? before.text : '', after.text) };
+}
+
+/**
+ * Put the fields of a revision back on the post and record the result as a new revision
+ * A cover whose media has been deleted since is not restored; the current cover stays.
+ * @param {object} revision - Revision to restore
+ * @param {string} actor - Who restores
+ * @returns {{revisionId: number, version: number, coverRestored: boolean}}
+ */
+export function restoreRevision(revision, actor) {
+  const db = getDb();
+
+  const restore = db.transaction(() => {
+    const coverExists = revision.cover_media_id === null
+      || Boolean(db.prepare('SELECT id FROM media WHERE id = ? AND post_id = ?').get(revision.cover_media_id, revision.post_id));
+
+    db.prepare(`
+      UPDATE posts
+      SET title = ?, text = ?, summary = ?, tag = ?, link = ?,
+          cover_media_id = CASE WHEN ? THEN ? ELSE cover_media_id END,
+          version = version + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      revision.title,
+      revision.text,
+      generateSummary(revision.text),
+      revision.tag,
+      revision.link,
+      coverExists ? 1 : 0,
+      revision.cover_media_id,
+      revision.post_id
+    );
+
+    const revisionId = recordRevision(revision.post_id, actor, 'restored', { restoredFrom: revision.id });
+    const { version } = db.prepare('SELECT version FROM posts WHERE id = ?').get(revision.post_id);
+
+    return { revisionId, version, coverRestored: coverExists };
+  });
+
+  return restore();
+}
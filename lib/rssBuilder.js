@@ -1,6 +1,8 @@
 import { getDb } from '../db/index.js';
-import crypto from 'crypto';
 import { sanitizeContent } from './sanitize.js';
+import { weakEtag } from './httpCache.js';
+import { resolveChannelSettings } from './feedChannels.js';
+import { parseDbDate, postUrl, postTitle, listPostImages, renderPostHtml } from './publicPosts.js';
 
 function escapeXml(s) {
   return String(s)
@@ -11,95 +13,432 @@ function escapeXml(s) {
     .replace(/'/g, '&apos;');
 }
 
-function makeTitle(post) {
-  if (post.title && post.title.trim().length > 0) return post.title.trim();
-  const t = post.text.replace(/\s+/g, ' ').trim();
-  return t.length > 80 ? t.slice(0, 77) + '…' : t;
+// "]]>" would end the section early, so it is split across two sections
+function cdata(s) {
+  return `<![CDATA[${String(s).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
 }
 
-function rfc822Date(dateStr) {
-  const d = new Date(dateStr);
-  return d.toUTCString();
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
-export function createRssBuilder({ baseUrl, feedSize }) {
-  let cache = {
-    xml: null,
-    etag: null,
-    lastModified: null,
-    builtAt: 0,
-  };
+/**
+ * Full item HTML: the text as paragraphs followed by every image as a figure with its caption
+ */
+function buildFullHtml(text, images) {
+  const figures = images.map(image => {
+    const size = image.width && image.height ? ` width="${image.width}" height="${image.height}"` : '';
+    const caption = image.caption ? `<figcaption>${escapeHtml(image.caption)}</figcaption>` : '';
+    return `<figure><img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.alt || '')}"${size}>${caption}</figure>`;
+  });
 
-  function buildFeed() {
-    const db = getDb();
-    const posts = db.prepare(
-      `SELECT p.id, p.slug, p.title, p.text, p.summary, p.pub_date, p.updated_at, p.cover_media_id
+  return [renderPostHtml(text), ...figures].join('\n');
+}
+
+/**
+ * Key of a feed for its cache, its WebSub pushes and its archive pages
+ * @param {object} filter - { clientKey } or { tag }, empty for the main feed
+ * @returns {string} 'all', 'client:<key>' or 'tag:<tag>'
+ */
+export function feedKey(filter = {}) {
+  if (filter.clientKey) return `client:${filter.clientKey}`;
+  if (filter.tag) return `tag:${filter.tag.toLowerCase()}`;
+  return 'all';
+}
+
+/**
+ * File published posts that are on no archive page yet into new pages of feedSize posts, oldest first
+ * Only complete pages are filed. A filed post stays on its page, so removing it leaves a gap there
+ * instead of shifting the later pages.
+ * @returns {number} Number of archive pages of the feed
+ */
+function fileArchivePages(db, key, where, params, feedSize) {
+  const file = db.transaction(() => {
+    let { pages } = db.prepare('SELECT COALESCE(MAX(page), 0) AS pages FROM feed_archive_pages WHERE feed_key = ?').get(key);
+
+    const unfiled = db.prepare(`
+      SELECT p.id
+      FROM posts p
+      WHERE ${where}
+        AND NOT EXISTS (SELECT 1 FROM feed_archive_pages a WHERE a.feed_key = ? AND a.post_id = p.id)
+      ORDER BY p.pub_date ASC, p.id ASC
+    `).all(...params, key);
+
+    const insert = db.prepare('INSERT INTO feed_archive_pages (feed_key, post_id, page) VALUES (?, ?, ?)');
+    for (let start = 0; start + feedSize <= unfiled.length; start += feedSize) {
+      pages++;
+      unfiled.slice(start, start + feedSize).forEach(({ id }) => insert.run(key, id, pages));
+    }
+
+    return pages;
+  });
+
+  return file();
+}
+
+/**
+ * Load the feed in the common model all formats are rendered from
+ * Archive pages (RFC 5005) are filed from the oldest post on, feedSize posts each, and keep their posts:
+ * neither publishing newer posts nor removing older ones moves a post to another page (see fileArchivePages).
+ * The current feed holds the newest posts.
+ * @param {object} options
+ * @param {object} [options.filter] - { clientKey } or { tag } to restrict the feed
+ * @param {string|null} [options.hubUrl] - WebSub hub advertised by the feed, not by archive pages
+ * @param {number|null} [options.page] - Archive page, null for the current feed
+ * @returns {{channel: object, items: Array}} channel: { title, link, description, language, copyright,
+ *   imageUrl, ttl, updated, hubUrl, archive: { page, count } }, count being the number of complete archive pages,
+ *   items: { id, guid, title, link, contentHtml, fullHtml, summary, category, sourceUrl,
+ *   published, updated, image, images }. image is the cover, images are all attached images, cover first.
+ */
+function loadFeed({ baseUrl, feedSize, hubUrl = null, filter = {}, page = null }) {
+  const db = getDb();
+  const whereClauses = [`p.status = 'published'`, 'p.deleted_at IS NULL'];
+  const params = [];
+
+  if (filter.clientKey) {
+    whereClauses.push('p.client_key = ?');
+    params.push(filter.clientKey);
+  }
+  if (filter.tag) {
+    whereClauses.push('p.tag = ? COLLATE NOCASE');
+    params.push(filter.tag);
+  }
+
+  const where = whereClauses.join(' AND ');
+  const key = feedKey(filter);
+  const pages = fileArchivePages(db, key, where, params, feedSize);
+  // The GUID is the first slug a post had, so renaming it does not make readers show it again
+  const columns = `p.id, p.slug, p.title, p.text, p.summary, p.tag, p.link, p.pub_date, p.updated_at, p.cover_media_id,
+    COALESCE((SELECT h.slug FROM slug_history h WHERE h.post_id = p.id ORDER BY h.id LIMIT 1), p.slug) AS guid`;
+
+  const posts = page
+    ? db.prepare(
+      `SELECT ${columns}
        FROM posts p
-       WHERE p.status = 'published'
-       ORDER BY p.pub_date DESC
+       JOIN feed_archive_pages a ON a.post_id = p.id AND a.feed_key = ? AND a.page = ?
+       WHERE ${where}
+       ORDER BY p.pub_date DESC, p.id DESC`
+    ).all(key, page, ...params)
+    : db.prepare(
+      `SELECT ${columns}
+       FROM posts p
+       WHERE ${where}
+       ORDER BY p.pub_date DESC, p.id DESC
        LIMIT ?`
-    ).all(feedSize);
-
-    const itemsXml = posts.map(p => {
-      const link = `${baseUrl.replace(/\/$/, '')}/admin/posts/${p.id}`;
-      const guid = p.slug;
-      const title = makeTitle(p);
-      const rawDescription = p.text;
-      const description = sanitizeContent(rawDescription);
-      let enclosure = '';
-
-      if (p.cover_media_id) {
-        const m = getDb().prepare('SELECT url, mime, size_bytes FROM media WHERE id = ?').get(p.cover_media_id);
-        if (m) {
-          enclosure = `\n      <enclosure url="${escapeXml(m.url)}" length="${m.size_bytes || 0}" type="${escapeXml(m.mime)}"/>`;
-        }
-      }
+    ).all(...params, feedSize);
+
+  const items = posts.map(p => {
+    const images = listPostImages(p);
+    const contentHtml = sanitizeContent(p.text);
+    const updated = parseDbDate(p.updated_at);
+
+    return {
+      id: p.id,
+      guid: p.guid,
+      title: postTitle(p),
+      link: postUrl(baseUrl, p.slug),
+      contentHtml,
+      fullHtml: buildFullHtml(p.text, images),
+      summary: p.summary || null,
+      category: p.tag || null,
+      sourceUrl: p.link || null,
+      published: parseDbDate(p.pub_date) || updated,
+      updated,
+      image: images[0]?.cover ? images[0] : null,
+      images,
+    };
+  });
+
+  return {
+    channel: {
+      ...resolveChannelSettings(baseUrl, filter),
+      link: baseUrl,
+      hubUrl: page ? null : hubUrl,
+      archive: { page, count: pages },
+      updated: items.length > 0 ? items[0].published : new Date(),
+    },
+    items,
+  };
+}
+
+// Admin edits do not validate posts.link, so fall back to the raw value
+function sourceName(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url;
+  }
+}
+
+function hubLink(channel, element) {
+  return channel.hubUrl ? `\n    <${element} rel="hub" href="${escapeXml(channel.hubUrl)}"/>` : '';
+}
+
+/**
+ * Self and RFC 5005 archive links of a feed document
+ * The current feed links to the newest archive page, archive pages to their neighbours and the current feed.
+ * @returns {{self: string, current: string|null, prev: string|null, next: string|null}}
+ */
+function archiveLinks({ archive }, feedUrl) {
+  const pageUrl = (n) => `${feedUrl}?page=${n}`;
+
+  if (!archive.page) {
+    return { self: feedUrl, current: null, prev: archive.count > 0 ? pageUrl(archive.count) : null, next: null };
+  }
 
-      const pubDate = p.pub_date ? rfc822Date(p.pub_date) : rfc822Date(p.updated_at);
+  return {
+    self: pageUrl(archive.page),
+    current: feedUrl,
+    prev: archive.page > 1 ? pageUrl(archive.page - 1) : null,
+    next: archive.page < archive.count ? pageUrl(archive.page + 1) : null,
+  };
+}
+
+function archiveXml(links, element, indent) {
+  const lines = [];
+  if (links.current) lines.push(`<${element} rel="current" href="${escapeXml(links.current)}"/>`);
+  if (links.prev) lines.push(`<${element} rel="prev-archive" href="${escapeXml(links.prev)}"/>`);
+  if (links.next) lines.push(`<${element} rel="next-archive" href="${escapeXml(links.next)}"/>`);
+  if (links.current) lines.push('<fh:archive/>');
+  return lines.map(line => `\n${indent}${line}`).join('');
+}
+
+function renderMediaContent(image, isDefault) {
+  const size = image.width && image.height ? ` width="${image.width}" height="${image.height}"` : '';
+  const description = image.alt || image.caption;
+  const descriptionXml = description
+    ? `\n        <media:description type="plain">${escapeXml(description)}</media:description>`
+    : '';
+
+  return `      <media:content url="${escapeXml(image.url)}" type="${escapeXml(image.mime)}" medium="image" fileSize="${image.size}"${size}${isDefault ? ' isDefault="true"' : ''}>
+        <media:thumbnail url="${escapeXml(image.url)}"${size}/>${descriptionXml}
+      </media:content>`;
+}
+
+function channelRssXml(channel) {
+  const lines = [];
+  if (channel.copyright) lines.push(`<copyright>${escapeXml(channel.copyright)}</copyright>`);
+  if (channel.ttl) lines.push(`<ttl>${channel.ttl}</ttl>`);
+  if (channel.imageUrl) {
+    lines.push(`<image>
+      <url>${escapeXml(channel.imageUrl)}</url>
+      <title>${escapeXml(channel.title)}</title>
+      <link>${escapeXml(channel.link)}</link>
+    </image>`);
+  }
+  return lines.map(line => `\n    ${line}`).join('');
+}
 
-      return `    <item>
-      <title>${escapeXml(title)}</title>
-      <link>${escapeXml(link)}</link>
-      <guid isPermaLink="false">${escapeXml(guid)}</guid>
-      <pubDate>${pubDate}</pubDate>
-      <description><![CDATA[${description}]]></description>${enclosure}
+function renderRss({ channel, items }, feedUrl) {
+  const links = archiveLinks(channel, feedUrl);
+
+  const itemsXml = items.map(item => {
+    const lines = [
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link>${escapeXml(item.link)}</link>`,
+      `<guid isPermaLink="false">${escapeXml(item.guid)}</guid>`,
+      `<pubDate>${item.published.toUTCString()}</pubDate>`,
+    ];
+
+    if (item.category) {
+      lines.push(`<category>${escapeXml(item.category)}</category>`);
+    }
+    if (item.sourceUrl) {
+      lines.push(`<comments>${escapeXml(item.sourceUrl)}</comments>`);
+      lines.push(`<source url="${escapeXml(item.sourceUrl)}">${escapeXml(sourceName(item.sourceUrl))}</source>`);
+    }
+
+    lines.push(`<description>${cdata(item.contentHtml)}</description>`);
+    lines.push(`<content:encoded>${cdata(item.fullHtml)}</content:encoded>`);
+
+    if (item.image) {
+      lines.push(`<enclosure url="${escapeXml(item.image.url)}" length="${item.image.size}" type="${escapeXml(item.image.mime)}"/>`);
+    }
+
+    const media = item.images.map((image, index) => renderMediaContent(image, index === 0 && Boolean(item.image)));
+
+    return `    <item>
+${[...lines.map(line => `      ${line}`), ...media].join('\n')}
     </item>`;
-    }).join('\n');
+  }).join('\n');
 
-    const now = new Date();
-    const lastMod = posts.length > 0 ? new Date(posts[0].pub_date || posts[0].updated_at) : now;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/" xmlns:fh="http://purl.org/syndication/history/1.0">
+  <channel>
+    <title>${escapeXml(channel.title)}</title>
+    <link>${escapeXml(channel.link)}</link>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(links.self)}"/>${hubLink(channel, 'atom:link')}${archiveXml(links, 'atom:link', '    ')}
+    <description>${escapeXml(channel.description)}</description>
+    <language>${escapeXml(channel.language)}</language>${channelRssXml(channel)}
+    <lastBuildDate>${channel.updated.toUTCString()}</lastBuildDate>
+${itemsXml}
+  </channel>
+</rss>`;
+}
 
-    const channel = `  <channel>
-    <title>Square Publisher Feed</title>
-    <link>${escapeXml(baseUrl)}</link>
-    <description>Recent posts</description>
-    <lastBuildDate>${lastMod.toUTCString()}</lastBuildDate>
-${itemsXml}\n  </channel>`;
+function renderAtom({ channel, items }, feedUrl) {
+  const links = archiveLinks(channel, feedUrl);
 
-    const xml = `<?xml version="1.0" encoding="UTF-8"?>\n<rss version="2.0">\n${channel}\n</rss>`;
+  const entriesXml = items.map(item => {
+    const enclosure = item.image
+      ? `\n    <link rel="enclosure" href="${escapeXml(item.image.url)}" type="${escapeXml(item.image.mime)}" length="${item.image.size}"/>`
+      : '';
+    const summary = item.summary ? `\n    <summary>${escapeXml(item.summary)}</summary>` : '';
+    const category = item.category ? `\n    <category term="${escapeXml(item.category)}"/>` : '';
 
-    const etag = 'W/"' + crypto.createHash('md5').update(xml).digest('hex') + '"';
+    return `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" href="${escapeXml(item.link)}"/>
+    <id>${escapeXml('urn:square-publisher:' + item.guid)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>${summary}
+    <content type="html">${escapeXml(item.fullHtml)}</content>${category}${enclosure}
+  </entry>`;
+  }).join('\n');
 
-    cache.xml = xml;
-    cache.etag = etag;
-    cache.lastModified = lastMod.toUTCString();
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:fh="http://purl.org/syndication/history/1.0" xml:lang="${escapeXml(channel.language)}">
+  <title>${escapeXml(channel.title)}</title>
+  <subtitle>${escapeXml(channel.description)}</subtitle>${channel.copyright ? `\n  <rights>${escapeXml(channel.copyright)}</rights>` : ''}${channel.imageUrl ? `\n  <logo>${escapeXml(channel.imageUrl)}</logo>` : ''}
+  <link rel="alternate" href="${escapeXml(channel.link)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(links.self)}"/>${hubLink(channel, 'link').replace('\n    ', '\n  ')}${archiveXml(links, 'link', '  ')}
+  <id>${escapeXml(feedUrl)}</id>
+  <updated>${channel.updated.toISOString()}</updated>
+${entriesXml}
+</feed>`;
+}
+
+// JSON Feed has no archive links; next_url leads to the next older page
+function renderJsonFeed({ channel, items }, feedUrl) {
+  const links = archiveLinks(channel, feedUrl);
+
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: channel.title,
+    home_page_url: channel.link,
+    feed_url: feedUrl,
+    description: channel.description,
+    language: channel.language,
+    ...(channel.imageUrl ? { icon: channel.imageUrl } : {}),
+    ...(links.prev ? { next_url: links.prev } : {}),
+    ...(channel.hubUrl ? { hubs: [{ type: 'WebSub', url: channel.hubUrl }] } : {}),
+    items: items.map(item => ({
+      id: item.guid,
+      url: item.link,
+      title: item.title,
+      content_html: item.fullHtml,
+      ...(item.summary ? { summary: item.summary } : {}),
+      ...(item.image ? { image: item.image.url } : {}),
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      ...(item.category ? { tags: [item.category] } : {}),
+      ...(item.image ? {
+        attachments: [{ url: item.image.url, mime_type: item.image.mime, size_in_bytes: item.image.size }],
+      } : {}),
+    })),
+  }, null, 2);
+}
+
+/**
+ * Supported output formats: content type, path of the feed and renderer
+ */
+export const FEED_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', path: '/rss.xml', render: renderRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', path: '/atom.xml', render: renderAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', path: '/feed.json', render: renderJsonFeed },
+};
+
+// Archive pages rendered per builder; older ones are rebuilt on demand
+const MAX_CACHED_ARCHIVES = 10;
+
+/**
+ * Create a feed builder with one cached model and a cached rendering per format
+ * @param {object} options
+ * @param {string} options.baseUrl - Public base URL
+ * @param {number} options.feedSize - Maximum number of items
+ * @param {string|null} [options.hubUrl] - WebSub hub advertised by the feed
+ * @param {object} [options.filter] - { clientKey } or { tag } for a filtered feed
+ * @param {object} [options.paths] - Feed paths per format, defaults to FEED_FORMATS paths
+ */
+export function createFeedBuilder({ baseUrl, feedSize, hubUrl = null, filter = {}, paths = {} }) {
+  let cache = {
+    feed: null,
+    lastModified: null,
+    builtAt: 0,
+    outputs: {},
+  };
+  // Archive page -> { feed, lastModified, outputs }
+  const archives = new Map();
+
+  function buildFeed() {
+    const feed = loadFeed({ baseUrl, feedSize, hubUrl, filter });
+
+    cache.feed = feed;
+    cache.lastModified = feed.channel.updated.toUTCString();
     cache.builtAt = Date.now();
+    cache.outputs = {};
+  }
+
+  function render(entry, format) {
+    const { render: renderFormat } = FEED_FORMATS[format];
+    const feedUrl = `${baseUrl.replace(/\/$/, '')}${paths[format] || FEED_FORMATS[format].path}`;
+    const body = renderFormat(entry.feed, feedUrl);
+    const selfUrl = entry.feed.channel.archive.page ? `${feedUrl}?page=${entry.feed.channel.archive.page}` : feedUrl;
+    entry.outputs[format] = { body, etag: weakEtag(body), selfUrl };
   }
 
   return {
-    getCache() {
-      if (!cache.xml) buildFeed();
-      return cache;
+    /**
+     * @param {string} format - Key of FEED_FORMATS
+     * @returns {{body: string, etag: string, selfUrl: string, lastModified: string}}
+     */
+    getCache(format = 'rss') {
+      if (!cache.feed) buildFeed();
+      if (!cache.outputs[format]) render(cache, format);
+      return { ...cache.outputs[format], lastModified: cache.lastModified };
+    },
+    /**
+     * Complete archive page (RFC 5005), 1 being the oldest
+     * @param {string} format - Key of FEED_FORMATS
+     * @param {number} page - Archive page
+     * @returns {{body: string, etag: string, selfUrl: string, lastModified: string, newest: boolean}|null}
+     *   null if there is no such page; the newest page gets its next-archive link once the next page is filed
+     */
+    getArchive(format, page) {
+      if (!cache.feed) buildFeed();
+      if (!Number.isInteger(page) || page < 1 || page > cache.feed.channel.archive.count) {
+        return null;
+      }
+
+      let entry = archives.get(page);
+      if (!entry) {
+        if (archives.size >= MAX_CACHED_ARCHIVES) {
+          archives.delete(archives.keys().next().value);
+        }
+        const feed = loadFeed({ baseUrl, feedSize, hubUrl, filter, page });
+        // Edits change a page without adding posts to it, so the newest update counts, not the newest post
+        const updated = feed.items.reduce((newest, item) => (item.updated > newest ? item.updated : newest), feed.channel.updated);
+        entry = { feed, lastModified: updated.toUTCString(), outputs: {} };
+        archives.set(page, entry);
+      }
+
+      if (!entry.outputs[format]) render(entry, format);
+      return { ...entry.outputs[format], lastModified: entry.lastModified, newest: page === cache.feed.channel.archive.count };
     },
     invalidate() {
-      cache.xml = null;
-      cache.etag = null;
+      cache.feed = null;
       cache.lastModified = null;
       cache.builtAt = 0;
+      cache.outputs = {};
+      archives.clear();
     },
-    rebuild() {
+    rebuild(format = 'rss') {
       buildFeed();
-      return cache;
+      return this.getCache(format);
     }
   };
 }
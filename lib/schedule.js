@@ -0,0 +1,147 @@
+import { getDb } from '../db/index.js';
+import { ValidationError } from './validation.js';
+import { logAudit } from './audit.js';
+
+/**
+ * Time zone of the publish times editors pick
+ */
+export const SCHEDULE_TIME_ZONE = 'Europe/Berlin';
+
+const LOCAL_DATETIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: SCHEDULE_TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+function zonedParts(date) {
+  const parts = {};
+  for (const { type, value } of partsFormatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+// Offset of the schedule time zone from UTC at the given instant, in milliseconds
+function zoneOffset(timestamp) {
+  const p = zonedParts(new Date(timestamp));
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in Europe/Berlin to a Date
+ * A time skipped by the switch to summer time resolves to the hour after.
+ * @param {string} local - "YYYY-MM-DDTHH:MM" as sent by <input type="datetime-local">
+ * @returns {Date|null} null if the input is not a valid date and time
+ */
+export function parseZonedDateTime(local) {
+  const match = typeof local === 'string' ? LOCAL_DATETIME.exec(local.trim()) : null;
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map(value => Number(value || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  const check = new Date(wallClock);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59) {
+    return null;
+  }
+
+  // The offset depends on the instant, which depends on the offset: correct once around DST switches
+  const guess = zoneOffset(wallClock);
+  let timestamp = wallClock - guess;
+  const corrected = zoneOffset(timestamp);
+  if (corrected !== guess) {
+    timestamp = wallClock - corrected;
+  }
+
+  return new Date(timestamp);
+}
+
+/**
+ * Format an instant as Europe/Berlin wall-clock time for <input type="datetime-local">
+ * @param {string|Date|null} value - ISO timestamp or Date
+ * @returns {string} "YYYY-MM-DDTHH:MM", empty for no value
+ */
+export function formatZonedDateTime(value) {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+
+  const p = zonedParts(date);
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
+}
+
+/**
+ * Read the publish time of a schedule request
+ * publish_at_local is wall-clock time in Europe/Berlin; publish_at an ISO timestamp with offset.
+ * @param {object} body - Request body
+ * @returns {string} ISO timestamp in UTC
+ * @throws {ValidationError} INVALID_PUBLISH_AT if missing, invalid or not in the future
+ */
+export function validatePublishAt(body = {}) {
+  let publishAt = null;
+
+  if (body.publish_at_local !== undefined && body.publish_at_local !== null && body.publish_at_local !== '') {
+    publishAt = parseZonedDateTime(body.publish_at_local);
+  } else if (body.publish_at) {
+    publishAt = new Date(body.publish_at);
+  }
+
+  if (!publishAt || Number.isNaN(publishAt.getTime())) {
+    throw new ValidationError('publish_at must be a date and time', 'INVALID_PUBLISH_AT');
+  }
+  if (publishAt.getTime() <= Date.now()) {
+    throw new ValidationError('publish_at must be in the future', 'INVALID_PUBLISH_AT');
+  }
+
+  return publishAt.toISOString();
+}
+
+/**
+ * Set or move the publish time of a post that is not published yet
+ * Schedules made by a user are published by the auto-publish worker once approved, without waiting for moderation.
+ * Synchronous so it can run inside a surrounding transaction.
+ * @param {object} post - Post row
+ * @param {string} publishAt - ISO timestamp
+ * @param {string} actor - Who schedules
+ * @param {object} [auditExtra] - Additional audit payload, e.g. { bulk: true }
+ */
+export function schedulePost(post, publishAt, actor, auditExtra = {}) {
+  const db = getDb();
+
+  db.prepare(`
+    UPDATE posts SET publish_at = ?, scheduled_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(publishAt, actor, post.id);
+
+  logAudit(post.id, actor, post.publish_at ? 'post_rescheduled' : 'post_scheduled', {
+    publish_at: publishAt,
+    previous_publish_at: post.publish_at,
+    time_zone: SCHEDULE_TIME_ZONE,
+    ...auditExtra,
+  });
+}
+
+/**
+ * Remove the publish time of a post that is not published yet
+ * @param {object} post - Post row
+ * @param {string} actor - Who cancels
+ */
+export function cancelSchedule(post, actor) {
+  const db = getDb();
+
+  db.prepare(`
+    UPDATE posts SET publish_at = NULL, scheduled_by = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(post.id);
+
+  logAudit(post.id, actor, 'post_schedule_cancelled', {
+    previous_publish_at: post.publish_at,
+    previous_scheduled_by: post.scheduled_by,
+  });
+}
@@ -0,0 +1,154 @@
+import { getDb } from '../db/index.js';
+import { SCHEDULABLE_STATUSES } from './postWorkflow.js';
+
+// Column weights for bm25(): title, text, summary, tag
+const RANK_WEIGHTS = [10.0, 1.0, 2.0, 5.0];
+
+const MAX_QUERY_TERMS = 12;
+const SNIPPET_TOKENS = 16;
+
+// Markers around matches in snippets; replaced by <mark> after the text is escaped
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function markMatches(s) {
+  if (s === null || s === undefined) return null;
+  return escapeHtml(s)
+    .replaceAll(MARK_START, '<mark>')
+    .replaceAll(MARK_END, '</mark>');
+}
+
+function words(s) {
+  return s.match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Turn user input into an FTS5 query
+ * Every word must match, the last characters of a word may be missing ("Steuer" finds "Steuererklärung").
+ * Text in double quotes is searched as a phrase. FTS5 operators in the input are treated as plain words.
+ * @param {string} input - Search input
+ * @returns {string|null} FTS5 MATCH expression, null if the input has no words
+ */
+export function buildFtsQuery(input) {
+  if (typeof input !== 'string') return null;
+
+  const terms = [];
+  for (const [, phrase, word] of input.matchAll(/"([^"]*)"?|([^\s"]+)/g)) {
+    if (phrase !== undefined) {
+      const tokens = words(phrase);
+      if (tokens.length > 0) terms.push(`"${tokens.join(' ')}"`);
+    } else {
+      for (const token of words(word)) {
+        terms.push(`"${token}"*`);
+      }
+    }
+  }
+
+  if (terms.length === 0) return null;
+  return terms.slice(0, MAX_QUERY_TERMS).join(' ');
+}
+
+function searchWhere(match, status, clientKey) {
+  const whereClauses = ['posts_fts MATCH ?'];
+  const params = [match];
+
+  if (status === 'trash') {
+    whereClauses.push('p.deleted_at IS NOT NULL');
+  } else {
+    whereClauses.push('p.deleted_at IS NULL');
+    if (status === 'scheduled') {
+      whereClauses.push(`p.status IN (${SCHEDULABLE_STATUSES.map(() => '?').join(', ')})`, 'p.publish_at IS NOT NULL');
+      params.push(...SCHEDULABLE_STATUSES);
+    } else if (status) {
+      whereClauses.push('p.status = ?');
+      params.push(status);
+    }
+  }
+
+  if (clientKey === 'none') {
+    whereClauses.push('p.client_key IS NULL');
+  } else if (clientKey) {
+    whereClauses.push('p.client_key = ?');
+    params.push(clientKey);
+  }
+
+  return { where: whereClauses.join(' AND '), params };
+}
+
+/**
+ * Search posts by title, text, summary and tag, best matches first
+ * @param {object} options
+ * @param {string} options.q - Search input
+ * @param {string|null} [options.status] - Only posts with this status; 'trash' for trashed posts, which are left out otherwise;
+ *   'scheduled' for unpublished posts with a publish time
+ * @param {string|null} [options.clientKey] - Only posts of this client; 'none' for posts without client
+ * @param {number} [options.limit=20]
+ * @param {number} [options.offset=0]
+ * @returns {{posts: Array, total: number}} posts carry title_html and snippet as HTML with <mark> around matches
+ */
+export function searchPosts({ q, status = null, clientKey = null, limit = 20, offset = 0 }) {
+  const match = buildFtsQuery(q);
+  if (!match) {
+    return { posts: [], total: 0 };
+  }
+
+  const db = getDb();
+  const { where, params } = searchWhere(match, status, clientKey);
+
+  const { total } = db.prepare(`
+    SELECT COUNT(*) AS total
+    FROM posts_fts
+    JOIN posts p ON p.id = posts_fts.rowid
+    WHERE ${where}
+  `).get(...params);
+
+  const rows = db.prepare(`
+    SELECT p.id, p.slug, p.title, p.summary, p.status, p.pub_date, p.publish_at, p.scheduled_by, p.created_at, p.updated_at, p.client_key, p.deleted_at,
+           bm25(posts_fts, ${RANK_WEIGHTS.join(', ')}) AS rank,
+           highlight(posts_fts, 0, ?, ?) AS title_marked,
+           snippet(posts_fts, -1, ?, ?, '…', ${SNIPPET_TOKENS}) AS snippet_marked
+    FROM posts_fts
+    JOIN posts p ON p.id = posts_fts.rowid
+    WHERE ${where}
+    ORDER BY rank, p.created_at DESC
+    LIMIT ? OFFSET ?
+  `).all(MARK_START, MARK_END, MARK_START, MARK_END, ...params, limit, offset);
+
+  const posts = rows.map(({ title_marked, snippet_marked, ...post }) => ({
+    ...post,
+    title_html: markMatches(title_marked),
+    snippet: markMatches(snippet_marked),
+  }));
+
+  return { posts, total };
+}
+
+/**
+ * IDs of all posts matching a search, for actions on every result
+ * @param {object} options - Same filters as searchPosts, without paging
+ * @returns {number[]}
+ */
+export function searchPostIds({ q, status = null, clientKey = null }) {
+  const match = buildFtsQuery(q);
+  if (!match) {
+    return [];
+  }
+
+  const db = getDb();
+  const { where, params } = searchWhere(match, status, clientKey);
+
+  return db.prepare(`
+    SELECT p.id
+    FROM posts_fts
+    JOIN posts p ON p.id = posts_fts.rowid
+    WHERE ${where}
+  `).all(...params).map(row => row.id);
+}
@@ -2,8 +2,12 @@ import { customAlphabet } from 'nanoid';
 
 const nanoid = customAlphabet('0123456789abcdefghijklmnopqrstuvwxyz', 8);
 
+// German letters are spelled out rather than dropped: "Größe" becomes "groesse", not "gre"
+const TRANSLITERATIONS = { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss', 'ẞ': 'ss' };
+
 /**
  * Generate a URL-safe slug from text
+ * Umlauts and ß are transliterated, other accents removed (é → e); emoji and other symbols are dropped.
  * @param {string} text - The text to slugify
  * @param {number} maxLength - Maximum length of the slug
  * @returns {string} URL-safe slug
@@ -12,11 +16,14 @@ export function slugify(text, maxLength = 50) {
   const slug = text
     .toLowerCase()
     .trim()
-    .replace(/[^\w\s-]/g, '') // Remove non-word chars except spaces and hyphens
+    .replace(/[äöüßẞ]/g, char => TRANSLITERATIONS[char])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove accents left over by the decomposition
+    .replace(/[^a-z0-9\s_-]/g, '') // Remove everything else except spaces and hyphens
     .replace(/[\s_-]+/g, '-') // Replace spaces, underscores, hyphens with single hyphen
     .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
 
-  const truncated = slug.substring(0, maxLength);
+  const truncated = slug.substring(0, maxLength).replace(/-+$/, '');
   
   // If slug is empty or very short, use random ID
   if (truncated.length < 3) {
@@ -27,19 +34,18 @@ export function slugify(text, maxLength = 50) {
 }
 
 /**
- * Generate a unique slug by appending random suffix if needed
+ * Generate a unique slug by appending a random suffix if needed
+ * Synchronous so it can run inside SQLite transactions
  * @param {string} text - The text to slugify
- * @param {Function} checkExists - Function to check if slug exists
- * @returns {Promise<string>} Unique slug
+ * @param {Function} checkExists - Synchronous function to check if slug exists
+ * @returns {string} Unique slug
  */
-export async function generateUniqueSlug(text, checkExists) {
+export function generateUniqueSlugSync(text, checkExists) {
   let slug = slugify(text);
-  
-  // Check if slug exists
-  if (await checkExists(slug)) {
-    // Append random suffix
+
+  if (checkExists(slug)) {
     slug = `${slug}-${nanoid()}`;
   }
-  
+
   return slug;
 }
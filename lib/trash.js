@@ -0,0 +1,166 @@
+import { getDb } from '../db/index.js';
+import config from '../config/index.js';
+import { logAudit } from './audit.js';
+import { emitPostEvent } from './webhooks.js';
+import { removeUpload } from './mediaStorage.js';
+
+let workerInterval = null;
+let fastifyInstance = null;
+
+function log(level, data, message) {
+  if (fastifyInstance) {
+    fastifyInstance.log[level](data, message);
+  }
+}
+
+/**
+ * Move a post to the trash
+ * The post keeps its status and is hidden from the list, the feeds and the public site until restored.
+ * Synchronous so it can run inside a surrounding transaction.
+ * @param {object} post - Post row
+ * @param {string} actor - Who deletes
+ * @param {object} [auditExtra] - Additional audit payload, e.g. { bulk: true }
+ */
+export function trashPost(post, actor, auditExtra = {}) {
+  const db = getDb();
+
+  db.prepare('UPDATE posts SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ?').run(actor, post.id);
+
+  logAudit(post.id, actor, 'post_trashed', { status: post.status, ...auditExtra });
+  if (post.status === 'published') {
+    emitPostEvent('post.unpublished', post.id, { actor, previous_status: post.status, trashed: true });
+  }
+}
+
+/**
+ * Take a post out of the trash with the status it had before
+ * @param {object} post - Post row
+ * @param {string} actor - Who restores
+ * @param {object} [auditExtra] - Additional audit payload
+ */
+export function restorePost(post, actor, auditExtra = {}) {
+  const db = getDb();
+
+  db.prepare('UPDATE posts SET deleted_at = NULL, deleted_by = NULL WHERE id = ?').run(post.id);
+
+  logAudit(post.id, actor, 'post_restored', {
+    status: post.status,
+    deleted_at: post.deleted_at,
+    deleted_by: post.deleted_by,
+    ...auditExtra,
+  });
+  if (post.status === 'published') {
+    emitPostEvent('post.published', post.id, { actor, previous_status: post.status, restored: true });
+  }
+}
+
+/**
+ * Delete a trashed post for good, with its media rows and the files no other media row uses
+ * @param {object} post - Post row
+ * @param {string} actor - Who purges, 'system' for the retention job
+ * @param {string} [uploadsDir] - Uploads directory
+ * @returns {{filesRemoved: number}}
+ */
+export function purgePost(post, actor, uploadsDir = config.uploads.dir) {
+  const db = getDb();
+
+  const purge = db.transaction(() => {
+    // Media rows go with the post (ON DELETE CASCADE); a file also used by another row stays
+    const paths = db.prepare('SELECT DISTINCT path FROM media WHERE post_id = ?').all(post.id).map(row => row.path);
+    const usedElsewhere = db.prepare('SELECT 1 FROM media WHERE path = ? AND post_id IS NOT ? LIMIT 1');
+    const orphaned = paths.filter(path => !usedElsewhere.get(path, post.id));
+
+    // Logged before the delete; the audit row then outlives the post with post_id set to NULL
+    logAudit(post.id, actor, 'post_purged', {
+      post_id: post.id,
+      slug: post.slug,
+      title: post.title,
+      status: post.status,
+      deleted_at: post.deleted_at,
+      deleted_by: post.deleted_by,
+      files_removed: orphaned.length,
+    });
+
+    db.prepare('DELETE FROM posts WHERE id = ?').run(post.id);
+
+    return orphaned;
+  });
+
+  const orphaned = purge();
+
+  let filesRemoved = 0;
+  for (const path of orphaned) {
+    try {
+      removeUpload(uploadsDir, path);
+      filesRemoved++;
+    } catch (err) {
+      log('warn', { post_id: post.id, path, err: err.message }, 'Failed to remove purged media file');
+    }
+  }
+
+  return { filesRemoved };
+}
+
+/**
+ * Purge posts that have been in the trash longer than the retention period
+ * @param {number} [retentionDays] - Days a post stays in the trash
+ * @returns {number} Number of purged posts
+ */
+export function purgeExpiredTrash(retentionDays = config.trash.retentionDays) {
+  const db = getDb();
+
+  const expired = db.prepare(`
+    SELECT * FROM posts
+    WHERE deleted_at IS NOT NULL
+      AND deleted_at <= datetime('now', ?)
+    ORDER BY deleted_at
+    LIMIT 100
+  `).all(`-${retentionDays} days`);
+
+  for (const post of expired) {
+    const { filesRemoved } = purgePost(post, 'system');
+    log('info', { post_id: post.id, files_removed: filesRemoved }, 'Trashed post purged');
+  }
+
+  return expired.length;
+}
+
+function workerTick() {
+  try {
+    purgeExpiredTrash();
+  } catch (err) {
+    console.error('Trash purge error:', err.message);
+  }
+}
+
+/**
+ * Start the job that purges expired posts from the trash
+ * @param {object} fastify - Fastify instance for logging
+ * @param {number} intervalMs - Check interval in milliseconds
+ */
+export function startTrashPurgeWorker(fastify, intervalMs = config.trash.purgeIntervalMs) {
+  if (workerInterval) {
+    console.warn('Trash purge worker already running');
+    return;
+  }
+
+  fastifyInstance = fastify;
+
+  workerTick();
+  workerInterval = setInterval(workerTick, intervalMs);
+
+  if (fastify) {
+    fastify.log.info({ interval_ms: intervalMs, retention_days: config.trash.retentionDays }, 'Trash purge worker started');
+  }
+}
+
+/**
+ * Stop the trash purge job
+ */
+export function stopTrashPurgeWorker() {
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+    fastifyInstance = null;
+  }
+}
@@ -88,6 +88,78 @@ export function generateSummary(text, maxLength = 300) {
   return truncated + '…';
 }
 
+/**
+ * Validate images attached to an ingest request
+ * Each image has exactly one source: data_base64, url or file (name of a multipart file part)
+ * @param {Array} images - Raw images array
+ * @param {number} maxImages - Maximum number of images
+ * @returns {Array} Validated images
+ * @throws {ValidationError} If validation fails
+ */
+export function validateIngestImages(images, maxImages = 10) {
+  if (images === undefined || images === null) {
+    return [];
+  }
+
+  if (!Array.isArray(images)) {
+    throw new ValidationError('Images must be an array', 'INVALID_IMAGES');
+  }
+
+  if (images.length > maxImages) {
+    throw new ValidationError(
+      `Too many images, maximum is ${maxImages}`,
+      'TOO_MANY_IMAGES',
+      { count: images.length, maxImages }
+    );
+  }
+
+  return images.map((image, index) => {
+    if (!image || typeof image !== 'object') {
+      throw new ValidationError('Image must be an object', 'INVALID_IMAGE', { index });
+    }
+
+    const { data_base64, url, file, alt, caption, cover } = image;
+    const sources = [data_base64, url, file].filter(v => v !== undefined && v !== null);
+
+    if (sources.length !== 1) {
+      throw new ValidationError(
+        'Image needs exactly one of data_base64, url or file',
+        'INVALID_IMAGE_SOURCE',
+        { index }
+      );
+    }
+
+    if (sources.some(v => typeof v !== 'string' || v.trim().length === 0)) {
+      throw new ValidationError('Image source must be a non-empty string', 'INVALID_IMAGE_SOURCE', { index });
+    }
+
+    let validatedUrl = null;
+    if (url !== undefined && url !== null) {
+      validatedUrl = url.trim();
+      if (!/^https?:\/\//i.test(validatedUrl) || validatedUrl.length > 2048) {
+        throw new ValidationError('Image url must be an http(s) URL', 'INVALID_IMAGE_URL', { index });
+      }
+    }
+
+    if (alt !== undefined && alt !== null && (typeof alt !== 'string' || alt.length > 500)) {
+      throw new ValidationError('Image alt must be a string of at most 500 characters', 'INVALID_IMAGE_ALT', { index });
+    }
+
+    if (caption !== undefined && caption !== null && (typeof caption !== 'string' || caption.length > 1000)) {
+      throw new ValidationError('Image caption must be a string of at most 1000 characters', 'INVALID_IMAGE_CAPTION', { index });
+    }
+
+    return {
+      data_base64: data_base64 ? data_base64.trim() : null,
+      url: validatedUrl,
+      file: file ? file.trim() : null,
+      alt: alt ? alt.trim() : null,
+      caption: caption ? caption.trim() : null,
+      cover: cover === true || cover === 'true',
+    };
+  });
+}
+
 /**
  * Validate ingest request body
  * @param {object} body - Request body
@@ -100,7 +172,7 @@ export function validateIngestRequest(body, maxTextLength = 50000) {
     throw new ValidationError('Invalid request body', 'INVALID_BODY');
   }
 
-  const { text, source, ext_id, tag, link, client_key, title } = body;
+  const { text, source, ext_id, tag, link, client_key, title, images } = body;
 
   // Validate text (required)
   const validatedText = validateText(text, maxTextLength);
@@ -192,9 +264,51 @@ export function validateIngestRequest(body, maxTextLength = 50000) {
     title: validatedTitle,
     link: validatedLink,
     client_key: validatedClientKey,
+    images: validateIngestImages(images),
   };
 }
 
+export const BATCH_MODES = ['best_effort', 'all_or_nothing'];
+
+/**
+ * Validate the envelope of a batch ingest request
+ * Items themselves are validated one by one with validateIngestRequest.
+ * @param {Array|object} body - Array of items or { items, mode }
+ * @param {string} [queryMode] - Mode from the query string
+ * @param {number} maxItems - Maximum number of items per batch
+ * @returns {{items: Array, mode: string}} Items and partial-failure mode
+ * @throws {ValidationError} If validation fails
+ */
+export function validateIngestBatchRequest(body, queryMode, maxItems = 100) {
+  const items = Array.isArray(body) ? body : body?.items;
+  const mode = (!Array.isArray(body) && body?.mode) || queryMode || 'best_effort';
+
+  if (!Array.isArray(items)) {
+    throw new ValidationError('Batch body must be an array of items', 'INVALID_BODY');
+  }
+
+  if (items.length === 0) {
+    throw new ValidationError('Batch cannot be empty', 'EMPTY_BATCH');
+  }
+
+  if (items.length > maxItems) {
+    throw new ValidationError(
+      `Batch exceeds maximum of ${maxItems} items`,
+      'BATCH_TOO_LARGE',
+      { count: items.length, maxItems }
+    );
+  }
+
+  if (!BATCH_MODES.includes(mode)) {
+    throw new ValidationError(
+      `Mode must be one of: ${BATCH_MODES.join(', ')}`,
+      'INVALID_BATCH_MODE'
+    );
+  }
+
+  return { items, mode };
+}
+
 export function validateRssToLinkedInRequest(body) {
   if (!body || typeof body !== 'object') {
     throw new ValidationError('Invalid request body', 'INVALID_BODY');
@@ -0,0 +1,481 @@
+import crypto from 'crypto';
+import { getDb } from '../db/index.js';
+import config from '../config/index.js';
+import { ValidationError } from './validation.js';
+import { signPayload } from './requestSigning.js';
+import { assertPublicUrl, fetchPublicUrl, readLimitedBody } from './httpFetch.js';
+
+/**
+ * Events an endpoint can subscribe to
+ */
+export const WEBHOOK_EVENTS = [
+  'post.created',
+  'post.updated',
+  'post.published',
+  'post.unpublished',
+  'moderation.rejected',
+  'media.created',
+];
+
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+const RESPONSE_BODY_LIMIT = 1000;
+
+let workerInterval = null;
+let workerRunning = false;
+let fastifyInstance = null;
+
+/**
+ * Generate a signing secret for a new endpoint
+ * @returns {string} Secret with whsec_ prefix
+ */
+function generateSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+function parseEvents(webhook) {
+  return webhook ? { ...webhook, events: webhook.events.split(',').filter(Boolean) } : null;
+}
+
+/**
+ * Validate webhook form input
+ * The URL must be a public http(s) URL; deliveries never go to internal addresses.
+ * @param {object} body - Request body
+ * @returns {Promise<{url: string, events: string[], description: string|null}>} Validated input
+ * @throws {ValidationError} If the input is invalid
+ */
+export async function validateWebhookInput(body = {}) {
+  const url = typeof body.url === 'string' ? body.url.trim() : '';
+
+  try {
+    await assertPublicUrl(url);
+  } catch (err) {
+    throw new ValidationError(`URL must be a public http(s) URL: ${err.message}`, 'INVALID_WEBHOOK_URL');
+  }
+
+  // Checkbox groups arrive as a string for one value and an array for several
+  const rawEvents = Array.isArray(body.events) ? body.events : [body.events];
+  const events = WEBHOOK_EVENTS.filter(event => rawEvents.includes(event));
+  if (events.length === 0) {
+    throw new ValidationError('Select at least one event', 'MISSING_WEBHOOK_EVENTS');
+  }
+
+  const description = typeof body.description === 'string' ? body.description.trim() : '';
+  if (description.length > 200) {
+    throw new ValidationError('Description exceeds maximum length of 200 characters', 'DESCRIPTION_TOO_LONG');
+  }
+
+  return { url, events, description: description || null };
+}
+
+/**
+ * List all webhooks with delivery counts
+ * @returns {Array} Webhooks, newest first
+ */
+export function listWebhooks() {
+  const db = getDb();
+
+  return db.prepare(`
+    SELECT w.*,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending') AS pending_count,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') AS failed_count
+    FROM webhooks w
+    ORDER BY w.created_at DESC, w.id DESC
+  `).all().map(parseEvents);
+}
+
+/**
+ * Get a webhook by ID
+ * @param {number} id - Webhook ID
+ * @returns {object|null} Webhook or null
+ */
+export function getWebhook(id) {
+  const db = getDb();
+  return parseEvents(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id));
+}
+
+/**
+ * Register a webhook endpoint
+ * @param {object} data - Validated input from validateWebhookInput
+ * @param {string|null} createdBy - Email of the admin
+ * @returns {object} Created webhook
+ */
+export function createWebhook({ url, events, description }, createdBy = null) {
+  const db = getDb();
+
+  const result = db.prepare(`
+    INSERT INTO webhooks (url, secret, events, description, created_by)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(url, generateSecret(), events.join(','), description, createdBy);
+
+  return getWebhook(result.lastInsertRowid);
+}
+
+/**
+ * Update a webhook endpoint
+ * @param {number} id - Webhook ID
+ * @param {object} data - Validated input plus active flag
+ * @param {object} [options]
+ * @param {boolean} [options.rotateSecret] - Issue a new signing secret
+ * @returns {object|null} Updated webhook or null if not found
+ */
+export function updateWebhook(id, { url, events, description, active }, { rotateSecret = false } = {}) {
+  const db = getDb();
+
+  const result = db.prepare(`
+    UPDATE webhooks
+    SET url = ?, events = ?, description = ?, active = ?,
+        secret = CASE WHEN ? THEN ? ELSE secret END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(url, events.join(','), description, active ? 1 : 0, rotateSecret ? 1 : 0, generateSecret(), id);
+
+  return result.changes > 0 ? getWebhook(id) : null;
+}
+
+/**
+ * Delete a webhook and its delivery log
+ * @param {number} id - Webhook ID
+ * @returns {boolean} True if deleted
+ */
+export function deleteWebhook(id) {
+  const db = getDb();
+  return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Queue a delivery of an event to one endpoint
+ * @param {number} webhookId - Webhook ID
+ * @param {string} event - Event name
+ * @param {object} data - Event data
+ * @param {number|null} [redeliveryOf] - Delivery this one repeats
+ * @returns {number} Delivery ID
+ */
+export function queueDelivery(webhookId, event, data, redeliveryOf = null) {
+  const db = getDb();
+
+  const payload = JSON.stringify({
+    id: 'evt_' + crypto.randomBytes(12).toString('hex'),
+    event,
+    created_at: new Date().toISOString(),
+    data,
+  });
+
+  const result = db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, redelivery_of)
+    VALUES (?, ?, ?, datetime('now'), ?)
+  `).run(webhookId, event, payload, redeliveryOf);
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * Queue an event for every active endpoint subscribed to it
+ * Synchronous, so it commits or rolls back together with a surrounding transaction.
+ * @param {string} event - Event name from WEBHOOK_EVENTS
+ * @param {object} data - Event data
+ * @returns {number} Number of queued deliveries
+ */
+export function emitWebhookEvent(event, data) {
+  const db = getDb();
+
+  const webhooks = db.prepare(`
+    SELECT id FROM webhooks
+    WHERE active = 1 AND (',' || events || ',') LIKE ?
+  `).all(`%,${event},%`);
+
+  for (const webhook of webhooks) {
+    queueDelivery(webhook.id, event, data);
+  }
+
+  return webhooks.length;
+}
+
+/**
+ * Queue a post event with the current state of the post
+ * @param {string} event - Event name from WEBHOOK_EVENTS
+ * @param {number|string} postId - Post ID
+ * @param {object} [extra] - Additional event data, e.g. actor or previous status
+ * @returns {number} Number of queued deliveries
+ */
+export function emitPostEvent(event, postId, extra = {}) {
+  const db = getDb();
+
+  const post = db.prepare(`
+    SELECT id, slug, title, summary, status, tag, link, client_key, source, ext_id,
+           pub_date, publish_at, version, created_at, updated_at
+    FROM posts
+    WHERE id = ?
+  `).get(postId);
+
+  if (!post) {
+    return 0;
+  }
+
+  return emitWebhookEvent(event, {
+    post: { ...post, edit_url: `${config.server.baseUrl}/admin/posts/${post.id}` },
+    ...extra,
+  });
+}
+
+/**
+ * Queue a media.created event
+ * @param {number|string} mediaId - Media ID
+ * @param {object} [extra] - Additional event data
+ * @returns {number} Number of queued deliveries
+ */
+export function emitMediaEvent(mediaId, extra = {}) {
+  const db = getDb();
+
+  const media = db.prepare(`
+    SELECT id, post_id, kind, url, mime, size_bytes, alt, caption, is_template, created_at
+    FROM media
+    WHERE id = ?
+  `).get(mediaId);
+
+  return media ? emitWebhookEvent('media.created', { media, ...extra }) : 0;
+}
+
+/**
+ * List deliveries for the delivery log
+ * @param {object} filters
+ * @param {number} [filters.webhookId] - Only deliveries of this endpoint
+ * @param {string} [filters.status] - pending, delivered or failed
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {{deliveries: Array, total: number}}
+ */
+export function listDeliveries({ webhookId, status, limit = 50, offset = 0 } = {}) {
+  const db = getDb();
+
+  let whereClause = '1=1';
+  const params = [];
+
+  if (webhookId) {
+    whereClause += ' AND d.webhook_id = ?';
+    params.push(webhookId);
+  }
+  if (status) {
+    whereClause += ' AND d.status = ?';
+    params.push(status);
+  }
+
+  const deliveries = db.prepare(`
+    SELECT d.*, w.url AS webhook_url
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE ${whereClause}
+    ORDER BY d.id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  const total = db.prepare(`
+    SELECT COUNT(*) AS count FROM webhook_deliveries d WHERE ${whereClause}
+  `).get(...params).count;
+
+  return { deliveries, total };
+}
+
+/**
+ * Queue a delivery again with the original payload
+ * @param {number} deliveryId - Delivery ID
+ * @returns {number|null} New delivery ID or null if not found
+ */
+export function redeliver(deliveryId) {
+  const db = getDb();
+
+  const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(deliveryId);
+  if (!delivery) {
+    return null;
+  }
+
+  const result = db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, redelivery_of)
+    VALUES (?, ?, ?, datetime('now'), ?)
+  `).run(delivery.webhook_id, delivery.event, delivery.payload, delivery.id);
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * Seconds to wait before the next attempt: base * 2^(attempts - 1), capped at 6 hours
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds
+ */
+export function retryDelaySeconds(attempts) {
+  return Math.min(config.webhooks.retryBaseSeconds * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Send one delivery and record the outcome
+ * Signature: X-Webhook-Signature = sha256=HMAC(secret, "<X-Webhook-Timestamp>.<body>")
+ * The URL and every redirect are checked again, since a host may resolve to another address by now.
+ */
+async function attemptDelivery(delivery) {
+  const db = getDb();
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await fetchPublicUrl(delivery.url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'SquarePublisher-Webhooks/1.0',
+        'x-webhook-event': delivery.event,
+        'x-webhook-delivery': String(delivery.id),
+        'x-webhook-timestamp': String(timestamp),
+        'x-webhook-signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`,
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+    });
+
+    responseStatus = response.status;
+    try {
+      responseBody = (await readLimitedBody(response, RESPONSE_BODY_LIMIT)).toString('utf8');
+    } catch (err) {
+      // A long answer does not fail the delivery, it is just not kept
+      if (err.code !== 'BODY_TOO_LARGE') throw err;
+    }
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'delivered', attempts = ?, last_attempt_at = datetime('now'), delivered_at = datetime('now'),
+          next_attempt_at = NULL, response_status = ?, response_body = ?, error = NULL
+      WHERE id = ?
+    `).run(attempts, responseStatus, responseBody, delivery.id);
+    return true;
+  }
+
+  const exhausted = attempts >= config.webhooks.maxAttempts;
+
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, last_attempt_at = datetime('now'),
+        next_attempt_at = CASE WHEN ? THEN NULL ELSE datetime('now', '+' || ? || ' seconds') END,
+        response_status = ?, response_body = ?, error = ?
+    WHERE id = ?
+  `).run(
+    exhausted ? 'failed' : 'pending',
+    attempts,
+    exhausted ? 1 : 0,
+    retryDelaySeconds(attempts),
+    responseStatus,
+    responseBody,
+    error,
+    delivery.id
+  );
+
+  if (fastifyInstance) {
+    fastifyInstance.log.warn({
+      delivery_id: delivery.id,
+      webhook_id: delivery.webhook_id,
+      attempts,
+      error,
+    }, exhausted ? 'Webhook delivery failed permanently' : 'Webhook delivery failed, will retry');
+  }
+
+  return false;
+}
+
+/**
+ * Send due deliveries
+ * @param {number} limit - Maximum deliveries per run
+ * @returns {Promise<number>} Number of attempted deliveries
+ */
+export async function processWebhookQueue(limit = 20) {
+  const db = getDb();
+
+  const due = db.prepare(`
+    SELECT d.*, w.url, w.secret, w.active
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status = 'pending'
+      AND d.next_attempt_at <= datetime('now')
+    ORDER BY d.next_attempt_at, d.id
+    LIMIT ?
+  `).all(limit);
+
+  for (const delivery of due) {
+    if (!delivery.active) {
+      db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'failed', next_attempt_at = NULL, error = 'Webhook disabled'
+        WHERE id = ?
+      `).run(delivery.id);
+      continue;
+    }
+
+    await attemptDelivery(delivery);
+  }
+
+  return due.length;
+}
+
+async function workerTick() {
+  // A slow endpoint must not lead to overlapping runs
+  if (workerRunning) {
+    return;
+  }
+
+  workerRunning = true;
+  try {
+    await processWebhookQueue();
+  } catch (err) {
+    console.error('Webhook worker error:', err.message);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+/**
+ * Start the webhook delivery worker
+ * @param {object} fastify - Fastify instance for logging
+ * @param {number} intervalMs - Poll interval in milliseconds
+ */
+export function startWebhookWorker(fastify, intervalMs = config.webhooks.pollIntervalMs) {
+  if (workerInterval) {
+    console.warn('Webhook worker already running');
+    return;
+  }
+
+  fastifyInstance = fastify;
+
+  workerTick();
+  workerInterval = setInterval(workerTick, intervalMs);
+
+  if (fastify) {
+    fastify.log.info({ interval_ms: intervalMs }, 'Webhook worker started');
+  }
+}
+
+/**
+ * Stop the webhook delivery worker
+ */
+export function stopWebhookWorker() {
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+    fastifyInstance = null;
+  }
+}
+
+/**
+ * Deliver queued events soon instead of waiting for the next poll
+ */
+export function kickWebhookWorker() {
+  if (workerInterval) {
+    setImmediate(workerTick);
+  }
+}
@@ -0,0 +1,351 @@
+import crypto from 'crypto';
+import { getDb } from '../db/index.js';
+import config from '../config/index.js';
+import { ValidationError } from './validation.js';
+import { assertPublicUrl, fetchPublicUrl, readLimitedBody } from './httpFetch.js';
+
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+const MIN_LEASE_SECONDS = 300;
+const MAX_SECRET_BYTES = 200;
+// The challenge echo is short; anything longer is not a confirmation
+const MAX_CHALLENGE_RESPONSE_BYTES = 1024;
+
+let workerInterval = null;
+let workerRunning = false;
+let fastifyInstance = null;
+
+function log(level, data, message) {
+  if (fastifyInstance) {
+    fastifyInstance.log[level](data, message);
+  }
+}
+
+/**
+ * Validate a hub request (application/x-www-form-urlencoded hub.* fields)
+ * The callback must be a public http(s) URL; the hub never calls internal addresses.
+ * @param {object} body - Request body
+ * @param {function} isTopic - Returns true for URLs of feeds served by this app
+ * @returns {Promise<{mode: string, topic: string, callback: string, leaseSeconds: number, secret: string|null}>}
+ * @throws {ValidationError} If the request is invalid
+ */
+export async function validateHubRequest(body = {}, isTopic) {
+  const mode = body['hub.mode'];
+  if (mode !== 'subscribe' && mode !== 'unsubscribe') {
+    throw new ValidationError('hub.mode must be subscribe or unsubscribe', 'INVALID_HUB_MODE');
+  }
+
+  const topic = typeof body['hub.topic'] === 'string' ? body['hub.topic'].trim() : '';
+  if (!topic || !isTopic(topic)) {
+    throw new ValidationError('hub.topic is not a feed of this hub', 'UNKNOWN_TOPIC');
+  }
+
+  const callback = typeof body['hub.callback'] === 'string' ? body['hub.callback'].trim() : '';
+  try {
+    await assertPublicUrl(callback);
+  } catch (err) {
+    throw new ValidationError(`hub.callback must be a public http(s) URL: ${err.message}`, 'INVALID_CALLBACK');
+  }
+
+  const { defaultLeaseSeconds, maxLeaseSeconds } = config.websub;
+  const requestedLease = parseInt(body['hub.lease_seconds'], 10);
+  const leaseSeconds = Number.isFinite(requestedLease) && requestedLease > 0
+    ? Math.min(Math.max(requestedLease, MIN_LEASE_SECONDS), maxLeaseSeconds)
+    : defaultLeaseSeconds;
+
+  const secret = typeof body['hub.secret'] === 'string' && body['hub.secret'].length > 0 ? body['hub.secret'] : null;
+  if (secret && Buffer.byteLength(secret) >= MAX_SECRET_BYTES) {
+    throw new ValidationError(`hub.secret must be shorter than ${MAX_SECRET_BYTES} bytes`, 'INVALID_HUB_SECRET');
+  }
+
+  return { mode, topic, callback, leaseSeconds, secret };
+}
+
+/**
+ * Verify the intent of a hub request with the subscriber and apply it
+ * GETs the callback with hub.challenge; the subscriber confirms by echoing it with a 2xx response.
+ * Redirects are followed only to public addresses, and a long response body is not read.
+ * An unconfirmed request leaves any existing subscription unchanged.
+ * @param {object} request - Validated hub request from validateHubRequest
+ * @returns {Promise<boolean>} True if the subscriber confirmed
+ */
+export async function verifyIntent({ mode, topic, callback, leaseSeconds, secret }) {
+  const db = getDb();
+  const challenge = crypto.randomBytes(16).toString('hex');
+
+  const url = new URL(callback);
+  url.searchParams.set('hub.mode', mode);
+  url.searchParams.set('hub.topic', topic);
+  url.searchParams.set('hub.challenge', challenge);
+  if (mode === 'subscribe') {
+    url.searchParams.set('hub.lease_seconds', String(leaseSeconds));
+  }
+
+  let confirmed = false;
+  try {
+    const response = await fetchPublicUrl(url.href, {
+      headers: { 'user-agent': 'SquarePublisher-WebSub/1.0' },
+      signal: AbortSignal.timeout(config.websub.timeoutMs),
+    });
+    const body = await readLimitedBody(response, MAX_CHALLENGE_RESPONSE_BYTES);
+    confirmed = response.ok && body.toString('utf8').trim() === challenge;
+  } catch (err) {
+    log('warn', { topic, callback, err: err.message }, 'WebSub intent verification failed');
+    return false;
+  }
+
+  if (!confirmed) {
+    log('info', { topic, callback, mode }, 'WebSub subscriber did not confirm');
+    return false;
+  }
+
+  if (mode === 'unsubscribe') {
+    db.prepare('DELETE FROM websub_subscriptions WHERE topic = ? AND callback = ?').run(topic, callback);
+  } else {
+    db.prepare(`
+      INSERT INTO websub_subscriptions (topic, callback, secret, lease_seconds, expires_at)
+      VALUES (?, ?, ?, ?, datetime('now', '+' || ? || ' seconds'))
+      ON CONFLICT (topic, callback) DO UPDATE SET
+        secret = excluded.secret,
+        lease_seconds = excluded.lease_seconds,
+        expires_at = excluded.expires_at,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(topic, callback, secret, leaseSeconds, leaseSeconds);
+  }
+
+  log('info', { topic, callback, mode, lease_seconds: leaseSeconds }, 'WebSub request verified');
+  return true;
+}
+
+/**
+ * Queue pushes of updated feeds to their subscribers
+ * Subscriptions whose content did not change since the last push are skipped,
+ * and a push still waiting in the queue gets the newer content instead of a second row.
+ * @param {function} resolveTopic - Returns { key, body, contentType, etag } for a topic URL, or null
+ * @param {Set<string>|null} keys - Feed keys that changed (see routes/rss.js), null for all
+ * @returns {number} Number of queued pushes
+ */
+export function publishFeedUpdates(resolveTopic, keys = null) {
+  const db = getDb();
+
+  const subscriptions = db.prepare(`
+    SELECT id, topic, last_etag
+    FROM websub_subscriptions
+    WHERE expires_at > datetime('now')
+  `).all();
+
+  const contents = new Map();
+  let queued = 0;
+
+  const findPending = db.prepare(`SELECT id FROM websub_deliveries WHERE subscription_id = ? AND status = 'pending'`);
+  const updatePending = db.prepare('UPDATE websub_deliveries SET content_type = ?, body = ? WHERE id = ?');
+  const insertDelivery = db.prepare(`
+    INSERT INTO websub_deliveries (subscription_id, content_type, body, next_attempt_at)
+    VALUES (?, ?, ?, datetime('now'))
+  `);
+  const setEtag = db.prepare('UPDATE websub_subscriptions SET last_etag = ? WHERE id = ?');
+
+  const queue = db.transaction(() => {
+    for (const subscription of subscriptions) {
+      if (!contents.has(subscription.topic)) {
+        contents.set(subscription.topic, resolveTopic(subscription.topic));
+      }
+
+      const content = contents.get(subscription.topic);
+      if (!content || (keys && !keys.has(content.key)) || content.etag === subscription.last_etag) {
+        continue;
+      }
+
+      const pending = findPending.get(subscription.id);
+      if (pending) {
+        updatePending.run(content.contentType, content.body, pending.id);
+      } else {
+        insertDelivery.run(subscription.id, content.contentType, content.body);
+      }
+      setEtag.run(content.etag, subscription.id);
+      queued++;
+    }
+  });
+  queue();
+
+  if (queued > 0) {
+    kickWebSubWorker();
+  }
+
+  return queued;
+}
+
+/**
+ * Seconds to wait before the next push attempt: base * 2^(attempts - 1), capped at 6 hours
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds
+ */
+export function retryDelaySeconds(attempts) {
+  return Math.min(config.websub.retryBaseSeconds * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Push feed content to one subscriber and record the outcome
+ * Signature: X-Hub-Signature = sha256=HMAC(hub.secret, body), only if the subscriber gave a secret.
+ * A 410 Gone response ends the subscription. The callback is checked again on every push, since
+ * its host may resolve to a different address by now; the response body is not read.
+ */
+async function attemptPush(delivery, hubUrl) {
+  const db = getDb();
+  const attempts = delivery.attempts + 1;
+
+  const headers = {
+    'content-type': delivery.content_type,
+    'user-agent': 'SquarePublisher-WebSub/1.0',
+    link: `<${hubUrl}>; rel="hub", <${delivery.topic}>; rel="self"`,
+  };
+  if (delivery.secret) {
+    headers['x-hub-signature'] = 'sha256=' + crypto.createHmac('sha256', delivery.secret).update(delivery.body).digest('hex');
+  }
+
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    const response = await fetchPublicUrl(delivery.callback, {
+      method: 'POST',
+      headers,
+      body: delivery.body,
+      signal: AbortSignal.timeout(config.websub.timeoutMs),
+    });
+    responseStatus = response.status;
+    await response.body?.cancel();
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (responseStatus === 410) {
+    db.prepare('DELETE FROM websub_subscriptions WHERE id = ?').run(delivery.subscription_id);
+    log('info', { topic: delivery.topic, callback: delivery.callback }, 'WebSub subscriber is gone, subscription removed');
+    return false;
+  }
+
+  if (!error) {
+    db.prepare(`
+      UPDATE websub_deliveries
+      SET status = 'delivered', attempts = ?, last_attempt_at = datetime('now'), delivered_at = datetime('now'),
+          next_attempt_at = NULL, response_status = ?, error = NULL
+      WHERE id = ?
+    `).run(attempts, responseStatus, delivery.id);
+    return true;
+  }
+
+  const exhausted = attempts >= config.websub.maxAttempts;
+
+  db.prepare(`
+    UPDATE websub_deliveries
+    SET status = ?, attempts = ?, last_attempt_at = datetime('now'),
+        next_attempt_at = CASE WHEN ? THEN NULL ELSE datetime('now', '+' || ? || ' seconds') END,
+        response_status = ?, error = ?
+    WHERE id = ?
+  `).run(
+    exhausted ? 'failed' : 'pending',
+    attempts,
+    exhausted ? 1 : 0,
+    retryDelaySeconds(attempts),
+    responseStatus,
+    error,
+    delivery.id
+  );
+
+  log('warn', {
+    delivery_id: delivery.id,
+    callback: delivery.callback,
+    attempts,
+    error,
+  }, exhausted ? 'WebSub push failed permanently' : 'WebSub push failed, will retry');
+
+  return false;
+}
+
+/**
+ * Send due pushes and drop expired subscriptions
+ * @param {number} limit - Maximum pushes per run
+ * @returns {Promise<number>} Number of attempted pushes
+ */
+export async function processWebSubQueue(limit = 20) {
+  const db = getDb();
+  const hubUrl = `${config.server.baseUrl.replace(/\/$/, '')}/websub`;
+
+  db.prepare(`DELETE FROM websub_subscriptions WHERE expires_at <= datetime('now')`).run();
+
+  const due = db.prepare(`
+    SELECT d.*, s.topic, s.callback, s.secret
+    FROM websub_deliveries d
+    JOIN websub_subscriptions s ON s.id = d.subscription_id
+    WHERE d.status = 'pending'
+      AND d.next_attempt_at <= datetime('now')
+    ORDER BY d.next_attempt_at, d.id
+    LIMIT ?
+  `).all(limit);
+
+  for (const delivery of due) {
+    await attemptPush(delivery, hubUrl);
+  }
+
+  return due.length;
+}
+
+async function workerTick() {
+  // A slow subscriber must not lead to overlapping runs
+  if (workerRunning) {
+    return;
+  }
+
+  workerRunning = true;
+  try {
+    await processWebSubQueue();
+  } catch (err) {
+    console.error('WebSub worker error:', err.message);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+/**
+ * Start the WebSub push worker
+ * @param {object} fastify - Fastify instance for logging
+ * @param {number} intervalMs - Poll interval in milliseconds
+ */
+export function startWebSubWorker(fastify, intervalMs = config.websub.pollIntervalMs) {
+  if (workerInterval) {
+    console.warn('WebSub worker already running');
+    return;
+  }
+
+  fastifyInstance = fastify;
+
+  workerTick();
+  workerInterval = setInterval(workerTick, intervalMs);
+
+  if (fastify) {
+    fastify.log.info({ interval_ms: intervalMs }, 'WebSub worker started');
+  }
+}
+
+/**
+ * Stop the WebSub push worker
+ */
+export function stopWebSubWorker() {
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+    fastifyInstance = null;
+  }
+}
+
+/**
+ * Push queued content soon instead of waiting for the next poll
+ */
+export function kickWebSubWorker() {
+  if (workerInterval) {
+    setImmediate(workerTick);
+  }
+}
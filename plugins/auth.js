@@ -1,47 +1,170 @@
 import fp from 'fastify-plugin';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { findApiToken, touchApiToken } from '../lib/apiTokens.js';
+import { verifyIngestSignature, isFreshTimestamp, rememberNonce } from '../lib/requestSigning.js';
+
+/**
+ * Compare two secrets without leaking timing information
+ */
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * Read a request body stream into a buffer
+ * @returns {Promise<Buffer|null>} null if the body exceeds the limit
+ */
+async function readBody(payload, limit) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of payload) {
+    size += chunk.length;
+    if (size > limit) {
+      return null;
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
 
 /**
  * Authentication plugin
  */
 async function authPlugin(fastify) {
+  fastify.decorateRequest('apiClient', null);
+
   /**
-   * Verify Bearer token for ingest API
+   * Verify an HMAC-signed request (X-Signature over "<X-Timestamp>.<raw body>")
+   * Runs before body parsing and hands the buffered body back to the parser.
+   * Signed requests carry no credential that could leak, and act like the global INGEST_TOKEN.
    */
-  fastify.decorate('verifyIngestToken', async function (request, reply) {
-    const authorization = request.headers.authorization;
+  async function verifySignedRequest(request, reply, payload) {
+    const { signingSecret, signatureTolerance } = fastify.config.ingest;
+    const timestamp = request.headers['x-timestamp'];
+
+    const reject = (status, error, code) => {
+      fastify.log.warn({ ip: request.ip, code, trace_id: request.id }, 'Invalid signed ingest request');
+      return reply.status(status).send({ error, code });
+    };
 
-    if (!authorization) {
-      return reply.status(401).send({
-        error: 'Missing authorization header',
-        code: 'UNAUTHORIZED',
-      });
+    if (!signingSecret) {
+      return reject(401, 'Signed requests are not enabled', 'SIGNING_DISABLED');
     }
 
-    const [scheme, token] = authorization.split(' ');
+    if (!payload) {
+      throw new Error('verifyApiToken must run as a preParsing hook to check request signatures');
+    }
 
-    if (scheme !== 'Bearer' || !token) {
-      return reply.status(401).send({
-        error: 'Invalid authorization format. Expected: Bearer <token>',
-        code: 'INVALID_AUTH_FORMAT',
-      });
+    // The multipart parser reads the raw request itself, so its body cannot be verified here
+    if (String(request.headers['content-type']).startsWith('multipart/')) {
+      return reject(415, 'Signed requests must have a JSON body', 'UNSUPPORTED_SIGNED_CONTENT');
     }
 
-    const validToken = fastify.config.auth.ingestToken;
+    if (!timestamp || !isFreshTimestamp(timestamp, signatureTolerance)) {
+      return reject(401, 'Missing or stale X-Timestamp header', 'STALE_TIMESTAMP');
+    }
+
+    const body = await readBody(payload, fastify.initialConfig.bodyLimit);
+    if (!body) {
+      return reject(413, 'Request body is too large', 'PAYLOAD_TOO_LARGE');
+    }
+
+    const signature = verifyIngestSignature(signingSecret, timestamp, body, request.headers['x-signature']);
+    if (!signature) {
+      return reject(401, 'Invalid signature', 'INVALID_SIGNATURE');
+    }
 
-    if (token !== validToken) {
-      fastify.log.warn({ 
-        ip: request.ip,
-        trace_id: request.id,
-      }, 'Invalid ingest token attempt');
-      
-      return reply.status(401).send({
-        error: 'Invalid token',
-        code: 'INVALID_TOKEN',
-      });
+    // The signature doubles as nonce; it only needs to be kept while the timestamp is fresh
+    if (!rememberNonce(signature, parseInt(timestamp, 10) + signatureTolerance)) {
+      return reject(401, 'Request was already processed', 'REPLAYED_REQUEST');
     }
 
-    // Token is valid, continue
+    request.apiClient = null;
+    return Readable.from(body);
+  }
+
+  /**
+   * Verify Bearer token or request signature for the integration API
+   * Accepts a per-client API token with the given scope, the global INGEST_TOKEN,
+   * or an HMAC signature (X-Signature/X-Timestamp) made with INGEST_SIGNING_SECRET.
+   * For API tokens, request.apiClient carries the owner and its client_key.
+   * Use as preParsing hook so signed requests can be checked against the raw body.
+   */
+  fastify.decorate('verifyApiToken', (scope) => {
+    return async function (request, reply, payload) {
+      if (request.headers['x-signature']) {
+        return verifySignedRequest(request, reply, payload);
+      }
+
+      const authorization = request.headers.authorization;
+
+      if (!authorization) {
+        return reply.status(401).send({
+          error: 'Missing authorization header',
+          code: 'UNAUTHORIZED',
+        });
+      }
+
+      const [scheme, token] = authorization.split(' ');
+
+      if (scheme !== 'Bearer' || !token) {
+        return reply.status(401).send({
+          error: 'Invalid authorization format. Expected: Bearer <token>',
+          code: 'INVALID_AUTH_FORMAT',
+        });
+      }
+
+      // Legacy global token grants every scope
+      if (safeEqual(token, fastify.config.auth.ingestToken)) {
+        request.apiClient = null;
+        return;
+      }
+
+      const found = findApiToken(token);
+
+      if (!found || found.error) {
+        fastify.log.warn({
+          ip: request.ip,
+          token_id: found?.record?.id,
+          reason: found?.error || 'unknown',
+          trace_id: request.id,
+        }, 'Invalid ingest token attempt');
+
+        return reply.status(401).send({
+          error: found?.error === 'expired' ? 'Token expired' : 'Invalid token',
+          code: found?.error === 'expired' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN',
+        });
+      }
+
+      const { record } = found;
+
+      if (!record.scopes.includes(scope)) {
+        return reply.status(403).send({
+          error: `Token is missing the "${scope}" scope`,
+          code: 'INSUFFICIENT_SCOPE',
+        });
+      }
+
+      touchApiToken(record.id, request.ip);
+
+      request.apiClient = {
+        tokenId: record.id,
+        userId: record.user_id,
+        email: record.email,
+        clientKey: record.client_key || null,
+      };
+    };
   });
+
+  /**
+   * Verify Bearer token or signature for ingest API
+   */
+  fastify.decorate('verifyIngestToken', fastify.verifyApiToken('ingest'));
 }
 
 export default fp(authPlugin);
@@ -1,10 +1,26 @@
 import fp from 'fastify-plugin';
+import { getDb } from '../db/index.js';
 import { getUserById } from '../lib/users.js';
+import { logAudit } from '../lib/audit.js';
+
+/**
+ * Whether the session user may work on a post
+ * Same tenancy rule as the posts list: users with a client_key (other than admins) only reach posts of that client.
+ * @param {object} session - Request session
+ * @param {object} post - Post row
+ * @returns {boolean}
+ */
+export function canAccessPost(session, post) {
+  if (session.role === 'admin' || !session.clientKey) return true;
+  return post.client_key === session.clientKey;
+}
 
 /**
  * Authentication middleware plugin
  */
 async function requireAuthPlugin(fastify) {
+  fastify.decorateRequest('post', null);
+
   /**
    * Require authenticated user
    */
@@ -57,6 +73,37 @@ async function requireAuthPlugin(fastify) {
       });
     }
   });
+
+  /**
+   * Load the post of a post-scoped route (:id) into request.post, if the user may work on it
+   * Posts of other clients answer 404 like missing ones, so ids are not confirmed; the denial is audited.
+   * Runs as preHandler after requireAuth.
+   */
+  fastify.decorate('loadPostForUser', async function (request, reply) {
+    const post = getDb().prepare('SELECT * FROM posts WHERE id = ?').get(request.params.id);
+    if (!post) {
+      return reply.status(404).send({ error: 'Post not found', code: 'NOT_FOUND' });
+    }
+
+    if (!canAccessPost(request.session, post)) {
+      logAudit(post.id, request.session.email, 'post_access_denied', {
+        method: request.method,
+        route: request.routeOptions.url,
+        post_client_key: post.client_key,
+        user_client_key: request.session.clientKey,
+      });
+      fastify.log.warn({
+        post_id: post.id,
+        user: request.session.email,
+        route: request.routeOptions.url,
+        trace_id: request.id,
+      }, 'Post access denied');
+
+      return reply.status(404).send({ error: 'Post not found', code: 'NOT_FOUND' });
+    }
+
+    request.post = post;
+  });
 }
 
 export default fp(requireAuthPlugin);
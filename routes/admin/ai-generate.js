@@ -4,6 +4,9 @@ import { randomUUID } from 'crypto';
 import { getDb } from '../../db/index.js';
 import { generateImageWithTemplate, buildPrompt, generateTitle } from '../../lib/openai.js';
 import { renderOverlay } from '../../lib/imageOverlay.js';
+import { emitMediaEvent } from '../../lib/webhooks.js';
+import { detectImageSize } from '../../lib/mediaValidator.js';
+import { recordRevision } from '../../lib/revisions.js';
 
 // Available tags for AI generation
 const AVAILABLE_TAGS = [
@@ -54,16 +57,13 @@ export default async function aiGenerateRoutes(fastify) {
   // Generate image with AI
   fastify.post('/admin/posts/:id/media/generate-ai', {
     onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
   }, async (request, reply) => {
     const db = getDb();
     const { id: postId } = request.params;
     const { templateId, title, tag, useRandomTemplate } = request.body || {};
 
-    // Validate post exists
-    const post = db.prepare('SELECT id, title FROM posts WHERE id = ?').get(postId);
-    if (!post) {
-      return reply.status(404).send({ error: 'Post not found', code: 'NOT_FOUND' });
-    }
+    const { post } = request;
 
     const isAdmin = request.session.role === 'admin';
     const userId = request.session.userId;
@@ -135,17 +135,19 @@ export default async function aiGenerateRoutes(fastify) {
       const fname = `ai_${randomUUID()}.png`;
       const absPath = join(subdir, fname);
       writeFileSync(absPath, generatedBuffer);
+      const dimensions = detectImageSize(generatedBuffer);
 
       const relPath = `/${year}/${month}/${fname}`;
       const url = `${fastify.config.server.baseUrl.replace(/\/$/, '')}/media${relPath}`;
 
       // Save to database
       const result = db.prepare(`
-        INSERT INTO media (post_id, kind, path, url, mime, size_bytes, alt)
-        VALUES (?, 'image', ?, ?, 'image/png', ?, ?)
-      `).run(postId, relPath, url, generatedBuffer.length, `AI generated: ${finalTitle}`);
+        INSERT INTO media (post_id, kind, path, url, mime, size_bytes, width, height, alt)
+        VALUES (?, 'image', ?, ?, 'image/png', ?, ?, ?, ?)
+      `).run(postId, relPath, url, generatedBuffer.length, dimensions?.width ?? null, dimensions?.height ?? null, `AI generated: ${finalTitle}`);
 
       const mediaId = result.lastInsertRowid;
+      emitMediaEvent(mediaId, { actor: request.session.email });
 
       return reply.status(201).send({
         media_id: mediaId,
@@ -168,16 +170,13 @@ export default async function aiGenerateRoutes(fastify) {
   // Generate cover: AI title + overlay on template
   fastify.post('/admin/posts/:id/media/generate-cover', {
     onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
   }, async (request, reply) => {
     const db = getDb();
     const { id: postId } = request.params;
     const { templateId, tag, useRandomTemplate } = request.body || {};
 
-    // Validate post exists and get its text
-    const post = db.prepare('SELECT id, title, text FROM posts WHERE id = ?').get(postId);
-    if (!post) {
-      return reply.status(404).send({ error: 'Post not found', code: 'NOT_FOUND' });
-    }
+    const { post } = request;
 
     if (!post.text || post.text.trim().length === 0) {
       return reply.status(400).send({
@@ -260,18 +259,21 @@ export default async function aiGenerateRoutes(fastify) {
       const fname = `cover_${randomUUID()}.png`;
       const absPath = join(subdir, fname);
       writeFileSync(absPath, coverBuffer);
+      const dimensions = detectImageSize(coverBuffer);
 
       const relPath = `/${year}/${month}/${fname}`;
       const url = `${fastify.config.server.baseUrl.replace(/\/$/, '')}/media${relPath}`;
 
       // Step 4: Save to database
       const result = db.prepare(`
-        INSERT INTO media (post_id, kind, path, url, mime, size_bytes, alt)
-        VALUES (?, 'image', ?, ?, 'image/png', ?, ?)
-      `).run(postId, relPath, url, coverBuffer.length, `Cover: ${generatedTitle}`);
+        INSERT INTO media (post_id, kind, path, url, mime, size_bytes, width, height, alt)
+        VALUES (?, 'image', ?, ?, 'image/png', ?, ?, ?, ?)
+      `).run(postId, relPath, url, coverBuffer.length, dimensions?.width ?? null, dimensions?.height ?? null, `Cover: ${generatedTitle}`);
 
       const mediaId = result.lastInsertRowid;
       db.prepare('UPDATE posts SET cover_media_id = ? WHERE id = ?').run(mediaId, postId);
+      recordRevision(postId, request.session.email, 'cover_changed');
+      emitMediaEvent(mediaId, { actor: request.session.email });
 
       return reply.status(201).send({
         media_id: mediaId,
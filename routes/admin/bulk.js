@@ -0,0 +1,76 @@
+import {
+  ADMIN_BULK_ACTIONS,
+  validateBulkInput,
+  selectBulkPosts,
+  applyBulkAction,
+} from '../../lib/postBulk.js';
+import { ValidationError } from '../../lib/validation.js';
+
+export default async function adminBulkRoutes(fastify) {
+  /**
+   * POST /admin/posts/bulk
+   * Apply one action to selected posts (ids) or to all posts matching the list filters (all_matching)
+   */
+  fastify.post('/admin/posts/bulk', {
+    onRequest: [fastify.requireAuth],
+  }, async (request, reply) => {
+    const isAdmin = request.session.role === 'admin';
+    const actor = request.session.email;
+
+    try {
+      const input = validateBulkInput(request.body || {});
+
+      if (!isAdmin && ADMIN_BULK_ACTIONS.includes(input.action)) {
+        return reply.status(403).send({ error: 'Forbidden', code: 'ADMIN_REQUIRED' });
+      }
+
+      // Editors only reach posts of their own client_key, as in the list
+      const scopeClientKey = !isAdmin ? request.session.clientKey || null : null;
+      const { posts, missing } = selectBulkPosts(input, scopeClientKey);
+
+      let result;
+      try {
+        result = applyBulkAction(posts, input, actor, request.session.role);
+      } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+          return reply.status(409).send({
+            error: 'Another post of that client already has the same source and external ID; nothing was changed',
+            code: 'BULK_CONFLICT',
+          });
+        }
+        throw err;
+      }
+
+      if (result.feedPosts.length > 0 && typeof fastify.rssInvalidate === 'function') {
+        fastify.rssInvalidate(result.feedPosts);
+      }
+
+      fastify.log.info({
+        action: input.action,
+        matched: posts.length,
+        updated: result.updated.length,
+        user: actor,
+        trace_id: request.id,
+      }, 'Bulk action applied');
+
+      return reply.send({
+        action: input.action,
+        matched: posts.length,
+        updated: result.updated.length,
+        updated_ids: result.updated,
+        skipped: [
+          ...missing.map(id => ({ id, reason: 'not_found' })),
+          ...result.skipped,
+        ],
+      });
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return reply.status(err.statusCode).send({
+          error: err.message,
+          code: err.code,
+        });
+      }
+      throw err;
+    }
+  });
+}
@@ -0,0 +1,114 @@
+import { getDb } from '../../db/index.js';
+import { ValidationError } from '../../lib/validation.js';
+import { canAccessPost } from '../../plugins/require-auth.js';
+import { sendCommentMentionEmail } from '../../lib/email.js';
+import {
+  validateComment,
+  findMentionedUsers,
+  listComments,
+  getComment,
+  addComment,
+  setCommentResolved,
+} from '../../lib/comments.js';
+
+export default async function adminCommentsRoutes(fastify) {
+  /**
+   * GET /admin/posts/:id/comments
+   * Comments of a post, oldest first, with the rendered markdown
+   */
+  fastify.get('/admin/posts/:id/comments', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, async (request, reply) => {
+    return reply.send({ comments: listComments(request.post.id) });
+  });
+
+  /**
+   * POST /admin/posts/:id/comments
+   * Add a comment, optionally anchored to a selection in the title or text
+   * Mentioned users who can open the post get an email.
+   */
+  fastify.post('/admin/posts/:id/comments', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, async (request, reply) => {
+    const { post } = request;
+    const actor = request.session.email;
+
+    if (post.deleted_at) {
+      return reply.status(409).send({ error: 'Post is in the trash, restore it first', code: 'POST_IN_TRASH' });
+    }
+
+    let input;
+    try {
+      input = validateComment(request.body || {});
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return reply.status(400).send({ error: err.message, code: err.code });
+      }
+      throw err;
+    }
+
+    // Only users who can open the post are notified; the author does not mention themselves
+    const mentioned = findMentionedUsers(input.body).filter(user =>
+      user.email !== actor && canAccessPost({ role: user.role, clientKey: user.client_key }, post)
+    );
+
+    const add = getDb().transaction(() => addComment(post, input, actor, mentioned));
+    const comment = add();
+
+    const link = `${fastify.config.server.baseUrl}/admin/posts/${post.id}#comment-${comment.id}`;
+    for (const user of mentioned) {
+      sendCommentMentionEmail({
+        to: user.email,
+        postId: post.id,
+        postTitle: post.title,
+        author: request.session.name || actor,
+        body: comment.body,
+        quote: comment.anchor_text,
+        link,
+      }).then(sent => {
+        fastify.log.info({ post_id: post.id, comment_id: comment.id, to: user.email, sent }, 'Mention email');
+      }).catch(err => {
+        fastify.log.error({ err, post_id: post.id, comment_id: comment.id, to: user.email }, 'Mention email error');
+      });
+    }
+
+    fastify.log.info({
+      post_id: post.id,
+      comment_id: comment.id,
+      mentions: comment.mentions.length,
+      user: actor,
+      trace_id: request.id,
+    }, 'Comment added');
+
+    return reply.status(201).send({ comment });
+  });
+
+  for (const resolved of [true, false]) {
+    const action = resolved ? 'resolve' : 'unresolve';
+
+    /**
+     * POST /admin/posts/:id/comments/:commentId/resolve
+     * POST /admin/posts/:id/comments/:commentId/unresolve
+     * Mark a comment as done or open it again
+     */
+    fastify.post(`/admin/posts/:id/comments/:commentId/${action}`, {
+      onRequest: [fastify.requireAuth],
+      preHandler: [fastify.loadPostForUser],
+    }, async (request, reply) => {
+      const comment = getComment(request.post.id, request.params.commentId);
+      if (!comment) {
+        return reply.status(404).send({ error: 'Comment not found', code: 'NOT_FOUND' });
+      }
+      if (Boolean(comment.resolved_at) === resolved) {
+        return reply.status(409).send({
+          error: resolved ? 'Comment is already resolved' : 'Comment is not resolved',
+          code: resolved ? 'ALREADY_RESOLVED' : 'NOT_RESOLVED',
+        });
+      }
+
+      return reply.send({ comment: setCommentResolved(comment, resolved, request.session.email) });
+    });
+  }
+}
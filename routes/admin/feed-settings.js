@@ -0,0 +1,128 @@
+import { getDb } from '../../db/index.js';
+import { logAudit } from '../../lib/audit.js';
+import { ValidationError } from '../../lib/validation.js';
+import {
+  validateChannelSettingsInput,
+  getChannelSettings,
+  listChannelOverrides,
+  saveChannelSettings,
+  deleteChannelOverride,
+} from '../../lib/feedChannels.js';
+
+/**
+ * Client keys known from users and posts, suggested when adding an override
+ */
+function listKnownClientKeys() {
+  const db = getDb();
+
+  return db.prepare(`
+    SELECT client_key FROM users WHERE client_key IS NOT NULL AND client_key != ''
+    UNION
+    SELECT client_key FROM posts WHERE client_key IS NOT NULL AND client_key != ''
+    ORDER BY client_key COLLATE NOCASE
+  `).all().map(row => row.client_key);
+}
+
+export default async function adminFeedSettingsRoutes(fastify) {
+  const preHandler = [fastify.requireAuth, fastify.requireAdmin];
+
+  /**
+   * GET /admin/feed-settings
+   * Channel defaults of the public feeds and per-client overrides
+   */
+  fastify.get('/admin/feed-settings', { preHandler }, async (request, reply) => {
+    return reply.view('admin/feed-settings.ejs', {
+      defaults: getChannelSettings(null) || {},
+      overrides: listChannelOverrides(),
+      clientKeys: listKnownClientKeys(),
+      currentUser: request.session,
+      success: request.query.success,
+      error: request.query.error,
+    });
+  });
+
+  /**
+   * POST /admin/feed-settings
+   * Save the channel defaults; every feed is rebuilt
+   */
+  fastify.post('/admin/feed-settings', { preHandler }, async (request, reply) => {
+    try {
+      const data = validateChannelSettingsInput(request.body, { isDefault: true });
+      saveChannelSettings(null, data, request.session.email);
+
+      logAudit(null, request.session.email, 'feed_channel_updated', { client_key: null, ...data });
+      fastify.rssInvalidate();
+
+      return reply.redirect('/admin/feed-settings?success=defaults_saved');
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return reply.redirect(`/admin/feed-settings?error=${err.code}`);
+      }
+      throw err;
+    }
+  });
+
+  /**
+   * POST /admin/feed-settings/clients
+   * Create or update the override of one client; only that client's feed is rebuilt
+   */
+  fastify.post('/admin/feed-settings/clients', { preHandler }, async (request, reply) => {
+    const clientKey = typeof request.body?.client_key === 'string' ? request.body.client_key.trim() : '';
+    if (!clientKey || clientKey.length > 100) {
+      return reply.redirect('/admin/feed-settings?error=INVALID_CLIENT_KEY');
+    }
+
+    const editUrl = `/admin/feed-settings/clients/${encodeURIComponent(clientKey)}`;
+
+    try {
+      const data = validateChannelSettingsInput(request.body);
+      saveChannelSettings(clientKey, data, request.session.email);
+
+      logAudit(null, request.session.email, 'feed_channel_updated', { client_key: clientKey, ...data });
+      fastify.rssInvalidate([{ client_key: clientKey }]);
+
+      return reply.redirect(`${editUrl}?success=override_saved`);
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        const target = getChannelSettings(clientKey) ? editUrl : '/admin/feed-settings';
+        return reply.redirect(`${target}?error=${err.code}`);
+      }
+      throw err;
+    }
+  });
+
+  /**
+   * GET /admin/feed-settings/clients/:clientKey
+   * Edit form of a client override
+   */
+  fastify.get('/admin/feed-settings/clients/:clientKey', { preHandler }, async (request, reply) => {
+    const override = getChannelSettings(request.params.clientKey);
+    if (!override) {
+      return reply.redirect('/admin/feed-settings?error=override_not_found');
+    }
+
+    return reply.view('admin/feed-channel-form.ejs', {
+      override,
+      defaults: getChannelSettings(null) || {},
+      currentUser: request.session,
+      success: request.query.success,
+      error: request.query.error,
+    });
+  });
+
+  /**
+   * POST /admin/feed-settings/clients/:clientKey/delete
+   * Remove a client override; the client feed falls back to the defaults
+   */
+  fastify.post('/admin/feed-settings/clients/:clientKey/delete', { preHandler }, async (request, reply) => {
+    const { clientKey } = request.params;
+    if (!deleteChannelOverride(clientKey)) {
+      return reply.redirect('/admin/feed-settings?error=override_not_found');
+    }
+
+    logAudit(null, request.session.email, 'feed_channel_override_deleted', { client_key: clientKey });
+    fastify.rssInvalidate([{ client_key: clientKey }]);
+
+    return reply.redirect('/admin/feed-settings?success=override_deleted');
+  });
+}
@@ -0,0 +1,157 @@
+import { logAudit } from '../../lib/audit.js';
+import { ValidationError } from '../../lib/validation.js';
+import {
+  validateFeedSourceInput,
+  listFeedSources,
+  getFeedSource,
+  createFeedSource,
+  updateFeedSource,
+  deleteFeedSource,
+  listFeedItems,
+  pollFeedSource,
+} from '../../lib/feedPoller.js';
+
+export default async function adminFeedsRoutes(fastify) {
+  const preHandler = [fastify.requireAuth, fastify.requireAdmin];
+
+  /**
+   * GET /admin/feeds
+   * List feed sources
+   */
+  fastify.get('/admin/feeds', { preHandler }, async (request, reply) => {
+    return reply.view('admin/feeds.ejs', {
+      sources: listFeedSources(),
+      currentUser: request.session,
+      success: request.query.success,
+      error: request.query.error,
+    });
+  });
+
+  /**
+   * POST /admin/feeds
+   * Add a feed source
+   */
+  fastify.post('/admin/feeds', { preHandler }, async (request, reply) => {
+    try {
+      const source = createFeedSource(validateFeedSourceInput(request.body), request.session.email);
+
+      logAudit(null, request.session.email, 'feed_source_created', {
+        feed_source_id: source.id,
+        url: source.url,
+        client_key: source.client_key,
+      });
+
+      return reply.redirect('/admin/feeds?success=feed_created');
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return reply.redirect(`/admin/feeds?error=${err.code}`);
+      }
+      throw err;
+    }
+  });
+
+  /**
+   * GET /admin/feeds/:id/edit
+   * Edit form with recently seen items
+   */
+  fastify.get('/admin/feeds/:id/edit', { preHandler }, async (request, reply) => {
+    const source = getFeedSource(parseInt(request.params.id, 10));
+    if (!source) {
+      return reply.redirect('/admin/feeds?error=feed_not_found');
+    }
+
+    return reply.view('admin/feed-form.ejs', {
+      source,
+      items: listFeedItems(source.id),
+      currentUser: request.session,
+      success: request.query.success,
+      error: request.query.error,
+    });
+  });
+
+  /**
+   * POST /admin/feeds/:id
+   * Update a feed source
+   */
+  fastify.post('/admin/feeds/:id', { preHandler }, async (request, reply) => {
+    const { id } = request.params;
+
+    try {
+      const source = updateFeedSource(parseInt(id, 10), validateFeedSourceInput(request.body));
+      if (!source) {
+        return reply.redirect('/admin/feeds?error=feed_not_found');
+      }
+
+      logAudit(null, request.session.email, 'feed_source_updated', {
+        feed_source_id: source.id,
+        url: source.url,
+        client_key: source.client_key,
+        active: Boolean(source.active),
+      });
+
+      return reply.redirect(`/admin/feeds/${id}/edit?success=feed_updated`);
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return reply.redirect(`/admin/feeds/${id}/edit?error=${err.code}`);
+      }
+      throw err;
+    }
+  });
+
+  /**
+   * POST /admin/feeds/:id/delete
+   * Delete a feed source and its item history
+   */
+  fastify.post('/admin/feeds/:id/delete', { preHandler }, async (request, reply) => {
+    const source = getFeedSource(parseInt(request.params.id, 10));
+    if (!source || !deleteFeedSource(source.id)) {
+      return reply.redirect('/admin/feeds?error=feed_not_found');
+    }
+
+    logAudit(null, request.session.email, 'feed_source_deleted', {
+      feed_source_id: source.id,
+      url: source.url,
+    });
+
+    return reply.redirect('/admin/feeds?success=feed_deleted');
+  });
+
+  /**
+   * POST /admin/feeds/:id/poll
+   * Poll a source right away; 409 while the worker or another request is polling it
+   */
+  fastify.post('/admin/feeds/:id/poll', { preHandler }, async (request, reply) => {
+    const source = getFeedSource(parseInt(request.params.id, 10));
+    if (!source) {
+      return reply.redirect('/admin/feeds?error=feed_not_found');
+    }
+
+    const result = await pollFeedSource(source);
+
+    if (result.status === 'running') {
+      return reply.status(409).view('admin/feed-form.ejs', {
+        source,
+        items: listFeedItems(source.id),
+        currentUser: request.session,
+        success: null,
+        error: 'POLL_IN_PROGRESS',
+      });
+    }
+
+    logAudit(result.postId, request.session.email, 'feed_source_polled', {
+      feed_source_id: source.id,
+      status: result.status,
+      new_items: result.newItems,
+      error: result.error,
+    });
+
+    fastify.log.info({
+      feed_source_id: source.id,
+      ...result,
+      trace_id: request.id,
+    }, 'Feed polled manually');
+
+    const outcome = result.status === 'error' ? 'error=poll_failed' : 'success=feed_polled';
+    return reply.redirect(`/admin/feeds/${source.id}/edit?${outcome}`);
+  });
+}
@@ -3,6 +3,7 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { getDb } from '../../db/index.js';
 import { saveUpload, ALLOWED_MIME } from '../../lib/mediaStorage.js';
+import { emitMediaEvent } from '../../lib/webhooks.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -95,10 +96,11 @@ export default async function adminFotoRoutes(fastify) {
     const tags = normalizeTags(tagsRaw);
 
     // Insert as template (post_id = NULL for templates, is_template = 1)
-    db.prepare(`
+    const result = db.prepare(`
       INSERT INTO media (post_id, owner_user_id, kind, path, url, mime, size_bytes, alt, tags, is_template)
       VALUES (NULL, ?, 'image', ?, ?, ?, ?, ?, ?, 1)
     `).run(request.session.userId, saved.path, saved.url, saved.mime, saved.size_bytes, alt, tags);
+    emitMediaEvent(result.lastInsertRowid, { actor: request.session.email });
 
     return reply.redirect('/admin/foto?success=1');
   });
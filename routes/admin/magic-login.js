@@ -169,6 +169,7 @@ export default async function magicLoginRoutes(fastify) {
       request.session.userId = record.user_id;
       request.session.email = record.email;
       request.session.role = record.role;
+      request.session.clientKey = record.client_key || null;
 
       // Update last login
       updateLastLogin(record.user_id);
@@ -1,19 +1,25 @@
 import { getDb } from '../../db/index.js';
 import { saveUpload, ALLOWED_MIME } from '../../lib/mediaStorage.js';
+import { emitMediaEvent } from '../../lib/webhooks.js';
+import { recordRevision } from '../../lib/revisions.js';
 
 export default async function adminMediaRoutes(fastify) {
+  // Feed items list every image of a post, so media changes on published posts rebuild its feeds
+  function invalidateFeeds(postId) {
+    const post = getDb().prepare('SELECT status, tag, client_key FROM posts WHERE id = ?').get(postId);
+    if (post?.status === 'published' && typeof fastify.rssInvalidate === 'function') {
+      fastify.rssInvalidate(post);
+    }
+  }
+
   // Upload media for a post
   fastify.post('/admin/posts/:id/media', {
     onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
   }, async (request, reply) => {
     const db = getDb();
     const { id } = request.params;
 
-    const post = db.prepare('SELECT id FROM posts WHERE id = ?').get(id);
-    if (!post) {
-      return reply.status(404).send({ error: 'Post not found', code: 'NOT_FOUND' });
-    }
-
     const parts = request.parts();
     let saved = null;
 
@@ -36,11 +42,13 @@ export default async function adminMediaRoutes(fastify) {
     }
 
     const result = db.prepare(`
-      INSERT INTO media (post_id, kind, path, url, mime, size_bytes)
-      VALUES (?, 'image', ?, ?, ?, ?)
-    `).run(id, saved.path, saved.url, saved.mime, saved.size_bytes);
+      INSERT INTO media (post_id, kind, path, url, mime, size_bytes, width, height)
+      VALUES (?, 'image', ?, ?, ?, ?, ?, ?)
+    `).run(id, saved.path, saved.url, saved.mime, saved.size_bytes, saved.width, saved.height);
 
     const mediaId = result.lastInsertRowid;
+    emitMediaEvent(mediaId, { actor: request.session.email });
+    invalidateFeeds(id);
 
     return reply.status(201).send({
       media_id: mediaId,
@@ -54,6 +62,7 @@ export default async function adminMediaRoutes(fastify) {
   // Update media metadata or set as cover
   fastify.patch('/admin/posts/:id/media/:mid', {
     onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
   }, async (request, reply) => {
     const db = getDb();
     const { id, mid } = request.params;
@@ -77,15 +86,21 @@ export default async function adminMediaRoutes(fastify) {
     }
 
     if (cover === true || cover === 'true') {
-      db.prepare('UPDATE posts SET cover_media_id = ? WHERE id = ?').run(mid, id);
+      const result = db.prepare('UPDATE posts SET cover_media_id = ? WHERE id = ? AND cover_media_id IS NOT ?').run(mid, id, mid);
+      if (result.changes > 0) {
+        recordRevision(id, request.session.email, 'cover_changed');
+      }
     }
 
+    invalidateFeeds(id);
+
     return reply.send({ updated: true });
   });
 
   // Delete media
   fastify.delete('/admin/posts/:id/media/:mid', {
     onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
   }, async (request, reply) => {
     const db = getDb();
     const { id, mid } = request.params;
@@ -96,12 +111,13 @@ export default async function adminMediaRoutes(fastify) {
     }
 
     // If it is cover, unset on post
-    const post = db.prepare('SELECT cover_media_id FROM posts WHERE id = ?').get(id);
-    if (post?.cover_media_id === media.id) {
+    if (request.post.cover_media_id === media.id) {
       db.prepare('UPDATE posts SET cover_media_id = NULL WHERE id = ?').run(id);
+      recordRevision(id, request.session.email, 'cover_changed');
     }
 
     db.prepare('DELETE FROM media WHERE id = ?').run(mid);
+    invalidateFeeds(id);
 
     return reply.send({ deleted: true });
   });
@@ -1,78 +1,129 @@
 import { getDb } from '../../db/index.js';
 import { validateText, normalizeText, generateSummary, ValidationError } from '../../lib/validation.js';
 import { logAudit } from '../../lib/audit.js';
+import { emitPostEvent } from '../../lib/webhooks.js';
+import { recordRevision, listRevisions, getLatestRevision, diffWords } from '../../lib/revisions.js';
 import { getAutoPublishEnabled, getAllUsers } from '../../lib/users.js';
+import { searchPosts } from '../../lib/search.js';
+import { SCHEDULE_TIME_ZONE, formatZonedDateTime } from '../../lib/schedule.js';
+import { SCHEDULABLE_STATUSES, availableTransitions, reopenAfterEdit } from '../../lib/postWorkflow.js';
+import { listComments, countComments } from '../../lib/comments.js';
+import { validateSlug, isSlugTaken, slugFromTitle, changePostSlug, listSlugHistory } from '../../lib/postSlugs.js';
+import { postUrl } from '../../lib/publicPosts.js';
+
+/**
+ * 409 body for an edit based on an outdated version: the server copy, who saved it
+ * and a word diff from the server text to the submitted one for the merge dialog
+ */
+function versionConflict(post, submittedText) {
+  const latest = getLatestRevision(post.id);
+
+  return {
+    error: 'The post was changed by someone else in the meantime',
+    code: 'VERSION_CONFLICT',
+    details: {
+      version: post.version,
+      title: post.title,
+      text: post.text,
+      tag: post.tag,
+      link: post.link,
+      updated_at: post.updated_at,
+      updated_by: latest?.actor || null,
+      text_diff: typeof submittedText === 'string' ? diffWords(post.text, submittedText) : null,
+    },
+  };
+}
 
 export default async function adminPostsRoutes(fastify) {
   /**
    * GET /admin/posts
-   * List posts with filters and pagination
+   * List posts with filters and pagination; with ?q= the full-text search results, best match first
    */
   fastify.get('/admin/posts', {
     onRequest: [fastify.requireAuth],
   }, async (request, reply) => {
     const db = getDb();
     
-    const { status, client_key, page = 1, limit = 20 } = request.query;
+    const { status, client_key, q, page = 1, limit = 20 } = request.query;
     const statusFilter = status && status !== 'all' ? status : null;
     const clientKeyFilter = client_key && client_key !== 'all' ? client_key : null;
+    const searchQuery = typeof q === 'string' ? q.trim() : '';
     const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
 
-    let query = 'SELECT id, slug, title, summary, status, pub_date, created_at, updated_at, client_key FROM posts';
-    const params = [];
-
     const isAdmin = request.session.role === 'admin';
     const sessionClientKey = request.session.clientKey || null;
 
-    const whereClauses = [];
+    let posts;
+    let totalCount;
 
-    if (statusFilter) {
-      whereClauses.push('status = ?');
-      params.push(statusFilter);
-    }
+    if (searchQuery) {
+      // Same restriction as the list: non-admin users only search their own client_key
+      const result = searchPosts({
+        q: searchQuery,
+        status: statusFilter,
+        clientKey: !isAdmin && sessionClientKey ? sessionClientKey : (isAdmin ? clientKeyFilter : null),
+        limit: parseInt(limit, 10),
+        offset,
+      });
+      posts = result.posts;
+      totalCount = result.total;
+    } else {
+      let query = 'SELECT id, slug, title, summary, status, pub_date, publish_at, scheduled_by, created_at, updated_at, client_key, deleted_at FROM posts';
+      const params = [];
 
-    // For non-admin users, restrict posts to their client_key (if set)
-    if (!isAdmin && sessionClientKey) {
-      whereClauses.push('client_key = ?');
-      params.push(sessionClientKey);
-    } else if (isAdmin && clientKeyFilter) {
-      // Allow admin to filter by client_key
-      if (clientKeyFilter === 'none') {
-        whereClauses.push('client_key IS NULL');
+      const whereClauses = [];
+
+      // Trashed posts only show up under the Trash filter; Scheduled is unpublished posts with a publish time
+      if (statusFilter === 'trash') {
+        whereClauses.push('deleted_at IS NOT NULL');
       } else {
-        whereClauses.push('client_key = ?');
-        params.push(clientKeyFilter);
+        whereClauses.push('deleted_at IS NULL');
+        if (statusFilter === 'scheduled') {
+          whereClauses.push(`status IN (${SCHEDULABLE_STATUSES.map(() => '?').join(', ')})`, 'publish_at IS NOT NULL');
+          params.push(...SCHEDULABLE_STATUSES);
+        } else if (statusFilter) {
+          whereClauses.push('status = ?');
+          params.push(statusFilter);
+        }
       }
-    }
 
-    if (whereClauses.length > 0) {
-      query += ' WHERE ' + whereClauses.join(' AND ');
-    }
+      // For non-admin users, restrict posts to their client_key (if set)
+      if (!isAdmin && sessionClientKey) {
+        whereClauses.push('client_key = ?');
+        params.push(sessionClientKey);
+      } else if (isAdmin && clientKeyFilter) {
+        // Allow admin to filter by client_key
+        if (clientKeyFilter === 'none') {
+          whereClauses.push('client_key IS NULL');
+        } else {
+          whereClauses.push('client_key = ?');
+          params.push(clientKeyFilter);
+        }
+      }
 
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit, 10), offset);
+      if (whereClauses.length > 0) {
+        query += ' WHERE ' + whereClauses.join(' AND ');
+      }
 
-    const posts = db.prepare(query).all(...params);
+      // Scheduled posts are listed by the time they go out, soonest first
+      query += statusFilter === 'scheduled' ? ' ORDER BY publish_at ASC' : ' ORDER BY created_at DESC';
+      query += ' LIMIT ? OFFSET ?';
 
-    // Get total count (with same filters)
-    let countQuery = 'SELECT COUNT(*) as total FROM posts';
-    const countParams = [];
+      posts = db.prepare(query).all(...params, parseInt(limit, 10), offset);
 
-    if (whereClauses.length > 0) {
-      countQuery += ' WHERE ' + whereClauses.join(' AND ');
-      if (statusFilter) {
-        countParams.push(statusFilter);
-      }
-      if (!isAdmin && sessionClientKey) {
-        countParams.push(sessionClientKey);
-      } else if (isAdmin && clientKeyFilter) {
-        if (clientKeyFilter !== 'none') {
-           countParams.push(clientKeyFilter);
-        }
+      // Get total count (with same filters)
+      let countQuery = 'SELECT COUNT(*) as total FROM posts';
+      if (whereClauses.length > 0) {
+        countQuery += ' WHERE ' + whereClauses.join(' AND ');
       }
+
+      ({ total: totalCount } = db.prepare(countQuery).get(...params));
     }
 
-    const { total: totalCount } = db.prepare(countQuery).get(...countParams);
+    const commentCounts = countComments(posts.map(post => post.id));
+    for (const post of posts) {
+      post.comments = commentCounts[post.id] || { total: 0, open: 0 };
+    }
 
     const totalPages = Math.ceil(totalCount / parseInt(limit, 10));
 
@@ -106,7 +157,10 @@ export default async function adminPostsRoutes(fastify) {
       filters: {
         status: statusFilter || 'all',
         client_key: clientKeyFilter || 'all',
+        q: searchQuery,
       },
+      scheduleTimeZone: SCHEDULE_TIME_ZONE,
+      schedulableStatuses: SCHEDULABLE_STATUSES,
       pagination: {
         page: parseInt(page, 10),
         limit: parseInt(limit, 10),
@@ -116,21 +170,68 @@ export default async function adminPostsRoutes(fastify) {
     });
   });
 
+  /**
+   * GET /admin/posts/search
+   * Full-text search as JSON, best match first; snippet and title_html are HTML with <mark> around matches
+   */
+  fastify.get('/admin/posts/search', {
+    onRequest: [fastify.requireAuth],
+  }, async (request, reply) => {
+    const { q, status, client_key } = request.query;
+    const searchQuery = typeof q === 'string' ? q.trim() : '';
+
+    if (!searchQuery) {
+      return reply.status(400).send({ error: 'Search query is required', code: 'INVALID_QUERY' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(request.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(request.query.offset, 10) || 0, 0);
+
+    const isAdmin = request.session.role === 'admin';
+    const sessionClientKey = request.session.clientKey || null;
+    const clientKeyFilter = client_key && client_key !== 'all' ? client_key : null;
+
+    const { posts, total } = searchPosts({
+      q: searchQuery,
+      status: status && status !== 'all' ? status : null,
+      clientKey: !isAdmin && sessionClientKey ? sessionClientKey : (isAdmin ? clientKeyFilter : null),
+      limit,
+      offset,
+    });
+
+    return reply.send({
+      query: searchQuery,
+      total,
+      limit,
+      offset,
+      results: posts.map(post => ({
+        id: post.id,
+        slug: post.slug,
+        title: post.title,
+        title_html: post.title_html,
+        snippet: post.snippet,
+        status: post.status,
+        client_key: post.client_key,
+        pub_date: post.pub_date,
+        publish_at: post.publish_at,
+        updated_at: post.updated_at,
+        deleted_at: post.deleted_at,
+        rank: post.rank,
+      })),
+    });
+  });
+
   /**
    * GET /admin/posts/:id
    * Show edit form for a post
    */
   fastify.get('/admin/posts/:id', {
     onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
   }, async (request, reply) => {
     const db = getDb();
     const { id } = request.params;
-
-    const post = db.prepare('SELECT * FROM posts WHERE id = ?').get(id);
-
-    if (!post) {
-      return reply.status(404).send({ error: 'Post not found', code: 'NOT_FOUND' });
-    }
+    const { post } = request;
 
     // Get media for this post
     const media = db.prepare('SELECT * FROM media WHERE post_id = ? ORDER BY sort_order, created_at').all(id);
@@ -138,6 +239,15 @@ export default async function adminPostsRoutes(fastify) {
     return reply.view('admin/post-edit.ejs', {
       post,
       media,
+      revisions: listRevisions(id),
+      comments: listComments(id),
+      slugHistory: listSlugHistory(id),
+      publicUrl: postUrl(fastify.config.server.baseUrl, post.slug),
+      retentionDays: fastify.config.trash.retentionDays,
+      transitions: availableTransitions(post, request.session.role),
+      schedulable: SCHEDULABLE_STATUSES.includes(post.status) && !post.deleted_at,
+      scheduleLocal: formatZonedDateTime(post.publish_at),
+      scheduleTimeZone: SCHEDULE_TIME_ZONE,
       user: {
         email: request.session.email,
         name: request.session.name || null,
@@ -151,19 +261,28 @@ export default async function adminPostsRoutes(fastify) {
   /**
    * PATCH /admin/posts/:id
    * Update post fields
+   * With `version` (the version the editor loaded) a stale edit is refused with 409 VERSION_CONFLICT.
    */
   fastify.patch('/admin/posts/:id', {
     onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
   }, async (request, reply) => {
     const db = getDb();
     const { id } = request.params;
-    const { title, text, tag, link } = request.body;
+    const { title, text, tag, link, version } = request.body;
+    const { post } = request;
 
-    try {
-      const post = db.prepare('SELECT * FROM posts WHERE id = ?').get(id);
+    if (post.deleted_at) {
+      return reply.status(409).send({ error: 'Post is in the trash, restore it first', code: 'POST_IN_TRASH' });
+    }
 
-      if (!post) {
-        return reply.status(404).send({ error: 'Post not found', code: 'NOT_FOUND' });
+    try {
+      const expectedVersion = version === undefined || version === null || version === '' ? null : Number(version);
+      if (expectedVersion !== null && !Number.isInteger(expectedVersion)) {
+        throw new ValidationError('version must be an integer', 'INVALID_VERSION');
+      }
+      if (expectedVersion !== null && expectedVersion !== post.version) {
+        return reply.status(409).send(versionConflict(post, text));
       }
 
       const updates = {};
@@ -211,32 +330,59 @@ export default async function adminPostsRoutes(fastify) {
         }
       }
 
+      const fields = Object.keys(updates);
+      if (fields.length === 0) {
+        return reply.send({ id, updated: false });
+      }
+
       // Increment version
       updates.version = 'version + 1';
       updates.updated_at = 'CURRENT_TIMESTAMP';
-
-      if (Object.keys(updates).length === 2) {
-        // Only version and updated_at, no real changes
-        return reply.send({ id, updated: false });
-      }
+      updates.last_edited_by = '?';
+      params.push(request.session.email);
 
       const setClauses = Object.entries(updates).map(([key, value]) => `${key} = ${value}`).join(', ');
-      params.push(id);
+      params.push(id, post.version);
+
+      // Changed content needs a new approval before it goes out: approved and published posts go back to review.
+      // One transaction, so the post is never left edited but still approved.
+      const save = db.transaction(() => {
+        const result = db.prepare(`UPDATE posts SET ${setClauses} WHERE id = ? AND version = ?`).run(...params);
+        if (result.changes === 0) {
+          return { saved: false };
+        }
+        recordRevision(id, request.session.email, 'updated');
 
-      db.prepare(`UPDATE posts SET ${setClauses} WHERE id = ?`).run(...params);
+        logAudit(id, request.session.email, 'post_updated', { fields });
+        emitPostEvent('post.updated', id, { actor: request.session.email, fields });
 
-      // Log audit
-      logAudit(id, request.session.email, 'post_updated', {
-        fields: Object.keys(updates).filter(k => k !== 'version' && k !== 'updated_at'),
+        const reopened = reopenAfterEdit(post, {
+          actor: request.session.email,
+          role: request.session.role,
+          auditExtra: { fields },
+        });
+        return { saved: true, reopened };
       });
 
+      const { saved, reopened } = save();
+      if (!saved) {
+        const current = db.prepare('SELECT * FROM posts WHERE id = ?').get(id);
+        return reply.status(409).send(versionConflict(current, text));
+      }
+
+      // A retagged post moves between tag feeds, so both the old and the new one are rebuilt
+      if (post.status === 'published' && typeof fastify.rssInvalidate === 'function') {
+        const updated = db.prepare('SELECT tag, client_key FROM posts WHERE id = ?').get(id);
+        fastify.rssInvalidate([post, updated]);
+      }
+
       fastify.log.info({
         post_id: id,
         user: request.session.email,
         trace_id: request.id,
       }, 'Post updated');
 
-      return reply.send({ id, updated: true });
+      return reply.send({ id, updated: true, version: post.version + 1, status: reopened ? reopened.to : post.status });
 
     } catch (err) {
       if (err instanceof ValidationError) {
@@ -248,4 +394,63 @@ export default async function adminPostsRoutes(fastify) {
       throw err;
     }
   });
+
+  /**
+   * POST /admin/posts/:id/slug
+   * Change the slug: {"slug": "..."} or {"from_title": true}
+   * The old slug keeps redirecting to the post and stays reserved for it.
+   */
+  fastify.post('/admin/posts/:id/slug', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, async (request, reply) => {
+    const { post } = request;
+    const body = request.body || {};
+
+    if (post.deleted_at) {
+      return reply.status(409).send({ error: 'Post is in the trash, restore it first', code: 'POST_IN_TRASH' });
+    }
+
+    let slug;
+    try {
+      slug = body.from_title ? slugFromTitle(post) : validateSlug(body.slug);
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return reply.status(err.statusCode).send({ error: err.message, code: err.code });
+      }
+      throw err;
+    }
+
+    if (slug === post.slug) {
+      return reply.send({ id: post.id, slug, changed: false, url: postUrl(fastify.config.server.baseUrl, slug) });
+    }
+    if (isSlugTaken(slug, post.id)) {
+      return reply.status(409).send({ error: 'Another post uses or used this slug', code: 'SLUG_TAKEN' });
+    }
+
+    const change = getDb().transaction(() => changePostSlug(post, slug, request.session.email));
+    change();
+
+    emitPostEvent('post.updated', post.id, { actor: request.session.email, fields: ['slug'] });
+
+    if (post.status === 'published' && typeof fastify.rssInvalidate === 'function') {
+      fastify.rssInvalidate(post);
+    }
+
+    fastify.log.info({
+      post_id: post.id,
+      slug,
+      previous_slug: post.slug,
+      user: request.session.email,
+      trace_id: request.id,
+    }, 'Post slug changed');
+
+    return reply.send({
+      id: post.id,
+      slug,
+      previous_slug: post.slug,
+      changed: true,
+      url: postUrl(fastify.config.server.baseUrl, slug),
+    });
+  });
 }
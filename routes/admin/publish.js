@@ -1,50 +1,167 @@
 import { getDb } from '../../db/index.js';
-import { logAudit } from '../../lib/audit.js';
+import { ValidationError } from '../../lib/validation.js';
+import { transitionPost, WorkflowError, SCHEDULABLE_STATUSES } from '../../lib/postWorkflow.js';
+import {
+  SCHEDULE_TIME_ZONE,
+  validatePublishAt,
+  formatZonedDateTime,
+  schedulePost,
+  cancelSchedule,
+} from '../../lib/schedule.js';
+
+const IN_TRASH = { error: 'Post is in the trash, restore it first', code: 'POST_IN_TRASH' };
+
+function sendError(reply, err) {
+  if (err instanceof WorkflowError || err instanceof ValidationError) {
+    return reply.status(err.statusCode).send({
+      error: err.message,
+      code: err.code,
+      ...(err.details ? { details: err.details } : {}),
+    });
+  }
+  throw err;
+}
 
 export default async function adminPublishRoutes(fastify) {
-  // Publish post: set status=published, set pub_date if not set
+  /**
+   * Handler running a status transition of lib/postWorkflow.js on the post of the request
+   * Feeds are rebuilt when the post enters or leaves the published state.
+   * @param {string} action - Transition name
+   * @param {Function} respond - (request, result) => response body
+   */
+  function transitionHandler(action, respond) {
+    return async (request, reply) => {
+      const { post } = request;
+
+      let result;
+      try {
+        const transition = getDb().transaction(() => transitionPost(post, action, {
+          actor: request.session.email,
+          role: request.session.role,
+          comment: request.body?.comment,
+        }));
+        result = transition();
+      } catch (err) {
+        return sendError(reply, err);
+      }
+
+      if ((result.from === 'published' || result.to === 'published') && typeof fastify.rssInvalidate === 'function') {
+        fastify.rssInvalidate(post);
+      }
+
+      fastify.log.info({
+        post_id: post.id,
+        action,
+        from: result.from,
+        to: result.to,
+        user: request.session.email,
+        trace_id: request.id,
+      }, 'Post status changed');
+
+      return reply.send({ id: request.params.id, status: result.to, ...respond(request, result) });
+    };
+  }
+
+  // Publish post: only approved posts; pub_date set if not already
   fastify.post('/admin/posts/:id/publish', {
     onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, transitionHandler('publish', request => ({
+    published: true,
+    pub_date: getDb().prepare('SELECT pub_date FROM posts WHERE id = ?').get(request.post.id).pub_date,
+  })));
+
+  // Unpublish post: back to draft, keep pub_date unchanged; publishing again needs a new approval
+  fastify.post('/admin/posts/:id/unpublish', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, transitionHandler('unpublish', request => ({ unpublished: true, pub_date: request.post.pub_date })));
+
+  // Archive post: drop a pending schedule; archived posts leave the feeds
+  fastify.post('/admin/posts/:id/archive', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, transitionHandler('archive', () => ({ archived: true })));
+
+  // Unarchive post: back to draft
+  fastify.post('/admin/posts/:id/unarchive', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, transitionHandler('unarchive', () => ({ unarchived: true })));
+
+  // Submit a draft for review
+  fastify.post('/admin/posts/:id/submit', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, transitionHandler('submit', () => ({ submitted: true })));
+
+  // Approve a post in review (reviewers and admins, not the person who submitted it)
+  fastify.post('/admin/posts/:id/approve', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, transitionHandler('approve', () => ({ approved: true })));
+
+  // Send a post in review or approved back to draft with a comment (reviewers and admins)
+  fastify.post('/admin/posts/:id/request-changes', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, transitionHandler('request_changes', () => ({ changes_requested: true })));
+
+  // Schedule a post before publication: the auto-publish worker publishes it at publish_at (ISO)
+  // or publish_at_local (Europe/Berlin) once it is approved
+  fastify.post('/admin/posts/:id/schedule', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
   }, async (request, reply) => {
     const db = getDb();
     const { id } = request.params;
+    const { post } = request;
 
-    const post = db.prepare('SELECT id, status, pub_date FROM posts WHERE id = ?').get(id);
-    if (!post) {
-      return reply.status(404).send({ error: 'Post not found', code: 'NOT_FOUND' });
+    if (post.deleted_at) {
+      return reply.status(409).send(IN_TRASH);
+    }
+    if (!SCHEDULABLE_STATUSES.includes(post.status)) {
+      return reply.status(409).send({ error: 'Only posts that are not published yet can be scheduled', code: 'INVALID_STATUS' });
     }
 
-    // Only change status; pub_date set if not already
-    const now = new Date().toISOString();
-    if (!post.pub_date) {
-      db.prepare(`UPDATE posts SET status='published', pub_date=?, updated_at=CURRENT_TIMESTAMP WHERE id=?`).run(now, id);
-    } else {
-      db.prepare(`UPDATE posts SET status='published', updated_at=CURRENT_TIMESTAMP WHERE id=?`).run(id);
+    let publishAt;
+    try {
+      publishAt = validatePublishAt(request.body || {});
+    } catch (err) {
+      return sendError(reply, err);
     }
 
-    logAudit(id, request.session.email, 'post_published', { previous_status: post.status, pub_date_set: !post.pub_date });
-    if (typeof fastify.rssInvalidate === 'function') fastify.rssInvalidate();
+    const schedule = db.transaction(() => schedulePost(post, publishAt, request.session.email));
+    schedule();
 
-    return reply.send({ published: true, id, pub_date: post.pub_date || now });
+    return reply.send({
+      scheduled: true,
+      id,
+      publish_at: publishAt,
+      publish_at_local: formatZonedDateTime(publishAt),
+      time_zone: SCHEDULE_TIME_ZONE,
+    });
   });
 
-  // Unpublish post: set status=draft, keep pub_date unchanged
-  fastify.post('/admin/posts/:id/unpublish', {
+  // Cancel the schedule of a post; its status stays
+  fastify.post('/admin/posts/:id/unschedule', {
     onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
   }, async (request, reply) => {
     const db = getDb();
     const { id } = request.params;
+    const { post } = request;
 
-    const post = db.prepare('SELECT id, status, pub_date FROM posts WHERE id = ?').get(id);
-    if (!post) {
-      return reply.status(404).send({ error: 'Post not found', code: 'NOT_FOUND' });
+    if (post.deleted_at) {
+      return reply.status(409).send(IN_TRASH);
+    }
+    if (!SCHEDULABLE_STATUSES.includes(post.status) || !post.publish_at) {
+      return reply.status(409).send({ error: 'Post is not scheduled', code: 'NOT_SCHEDULED' });
     }
 
-    db.prepare(`UPDATE posts SET status='draft', updated_at=CURRENT_TIMESTAMP WHERE id=?`).run(id);
-
-    logAudit(id, request.session.email, 'post_unpublished', { previous_status: post.status });
-    if (typeof fastify.rssInvalidate === 'function') fastify.rssInvalidate();
+    const cancel = db.transaction(() => cancelSchedule(post, request.session.email));
+    cancel();
 
-    return reply.send({ unpublished: true, id, pub_date: post.pub_date });
+    return reply.send({ unscheduled: true, id, previous_publish_at: post.publish_at });
   });
 }
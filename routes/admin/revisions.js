@@ -0,0 +1,116 @@
+import { getDb } from '../../db/index.js';
+import { logAudit } from '../../lib/audit.js';
+import { emitPostEvent } from '../../lib/webhooks.js';
+import { reopenAfterEdit } from '../../lib/postWorkflow.js';
+import {
+  REVISION_FIELDS,
+  getRevision,
+  getPreviousRevision,
+  compareRevisions,
+  restoreRevision,
+} from '../../lib/revisions.js';
+
+export default async function adminRevisionsRoutes(fastify) {
+  /**
+   * GET /admin/posts/:id/revisions/:revisionId/diff
+   * Compare a revision with the one before it, or with the current post (?against=current)
+   */
+  fastify.get('/admin/posts/:id/revisions/:revisionId/diff', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, async (request, reply) => {
+    const { id, revisionId } = request.params;
+
+    const revision = getRevision(id, revisionId);
+    if (!revision) {
+      return reply.status(404).send({ error: 'Revision not found', code: 'NOT_FOUND' });
+    }
+
+    if (request.query.against === 'current') {
+      const { post } = request;
+      return reply.send({
+        before: { id: revision.id, version: revision.version, created_at: revision.created_at },
+        after: { current: true, version: post.version, updated_at: post.updated_at },
+        ...compareRevisions(revision, post),
+      });
+    }
+
+    const previous = getPreviousRevision(revision);
+    return reply.send({
+      before: previous ? { id: previous.id, version: previous.version, created_at: previous.created_at } : null,
+      after: { id: revision.id, version: revision.version, created_at: revision.created_at },
+      ...compareRevisions(previous, revision),
+    });
+  });
+
+  /**
+   * POST /admin/posts/:id/revisions/:revisionId/restore
+   * Put a revision back on the post; recorded as a new revision and in the audit log
+   */
+  fastify.post('/admin/posts/:id/revisions/:revisionId/restore', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, async (request, reply) => {
+    const db = getDb();
+    const { id, revisionId } = request.params;
+
+    if (request.post.deleted_at) {
+      return reply.status(409).send({ error: 'Post is in the trash, restore it first', code: 'POST_IN_TRASH' });
+    }
+
+    const revision = getRevision(id, revisionId);
+    if (!revision) {
+      return reply.status(404).send({ error: 'Revision not found', code: 'NOT_FOUND' });
+    }
+
+    const before = request.post;
+
+    // Restored content needs a new approval before it goes out; in one transaction with the restore
+    const restore = db.transaction(() => {
+      const result = restoreRevision(revision, request.session.email);
+      const after = db.prepare('SELECT * FROM posts WHERE id = ?').get(id);
+
+      const fields = REVISION_FIELDS.filter(field => before[field] !== after[field]);
+
+      logAudit(id, request.session.email, 'post_revision_restored', {
+        revision_id: revision.id,
+        restored_version: revision.version,
+        version: result.version,
+        fields,
+        cover_restored: result.coverRestored,
+      });
+      emitPostEvent('post.updated', id, { actor: request.session.email, fields, restored_revision: revision.id });
+
+      if (fields.length > 0) {
+        db.prepare('UPDATE posts SET last_edited_by = ? WHERE id = ?').run(request.session.email, id);
+        reopenAfterEdit(before, {
+          actor: request.session.email,
+          role: request.session.role,
+          auditExtra: { fields, restored_revision: revision.id },
+        });
+      }
+
+      return { result, after };
+    });
+    const { result, after } = restore();
+
+    if (before.status === 'published' && typeof fastify.rssInvalidate === 'function') {
+      fastify.rssInvalidate([before, after]);
+    }
+
+    fastify.log.info({
+      post_id: id,
+      revision_id: revision.id,
+      user: request.session.email,
+      trace_id: request.id,
+    }, 'Post revision restored');
+
+    return reply.send({
+      id,
+      restored: true,
+      revision_id: result.revisionId,
+      version: result.version,
+      cover_restored: result.coverRestored,
+    });
+  });
+}
@@ -0,0 +1,79 @@
+import { getDb } from '../../db/index.js';
+import { trashPost, restorePost, purgePost } from '../../lib/trash.js';
+
+export default async function adminTrashRoutes(fastify) {
+  /**
+   * POST /admin/posts/:id/delete
+   * Move a post to the trash; it is purged after the retention period unless restored
+   */
+  fastify.post('/admin/posts/:id/delete', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, async (request, reply) => {
+    const { post } = request;
+    if (post.deleted_at) {
+      return reply.status(409).send({ error: 'Post is already in the trash', code: 'POST_IN_TRASH' });
+    }
+
+    const trash = getDb().transaction(() => trashPost(post, request.session.email));
+    trash();
+
+    if (post.status === 'published' && typeof fastify.rssInvalidate === 'function') {
+      fastify.rssInvalidate(post);
+    }
+
+    fastify.log.info({ post_id: post.id, user: request.session.email, trace_id: request.id }, 'Post moved to trash');
+
+    return reply.send({ deleted: true, id: post.id, retention_days: fastify.config.trash.retentionDays });
+  });
+
+  /**
+   * POST /admin/posts/:id/restore
+   * Take a post out of the trash with its previous status
+   */
+  fastify.post('/admin/posts/:id/restore', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.loadPostForUser],
+  }, async (request, reply) => {
+    const { post } = request;
+    if (!post.deleted_at) {
+      return reply.status(409).send({ error: 'Post is not in the trash', code: 'POST_NOT_IN_TRASH' });
+    }
+
+    const restore = getDb().transaction(() => restorePost(post, request.session.email));
+    restore();
+
+    if (post.status === 'published' && typeof fastify.rssInvalidate === 'function') {
+      fastify.rssInvalidate(post);
+    }
+
+    fastify.log.info({ post_id: post.id, user: request.session.email, trace_id: request.id }, 'Post restored from trash');
+
+    return reply.send({ restored: true, id: post.id, status: post.status });
+  });
+
+  /**
+   * POST /admin/posts/:id/purge
+   * Delete a trashed post for good without waiting for the retention period, with its media files
+   */
+  fastify.post('/admin/posts/:id/purge', {
+    onRequest: [fastify.requireAuth],
+    preHandler: [fastify.requireAdmin, fastify.loadPostForUser],
+  }, async (request, reply) => {
+    const { post } = request;
+    if (!post.deleted_at) {
+      return reply.status(409).send({ error: 'Only posts in the trash can be purged', code: 'POST_NOT_IN_TRASH' });
+    }
+
+    const { filesRemoved } = purgePost(post, request.session.email, fastify.config.uploads.dir);
+
+    fastify.log.info({
+      post_id: post.id,
+      files_removed: filesRemoved,
+      user: request.session.email,
+      trace_id: request.id,
+    }, 'Post purged');
+
+    return reply.send({ purged: true, id: post.id, files_removed: filesRemoved });
+  });
+}
@@ -8,6 +8,7 @@ import {
   emailExists 
 } from '../../lib/users.js';
 import { logAudit } from '../../lib/audit.js';
+import { API_TOKEN_SCOPES, createApiToken, listApiTokens, revokeApiToken } from '../../lib/apiTokens.js';
 
 export default async function adminUsersRoutes(fastify) {
   /**
@@ -39,6 +40,10 @@ export default async function adminUsersRoutes(fastify) {
       isNew: true,
       currentUser: request.session,
       error: request.query.error,
+      success: null,
+      tokens: [],
+      tokenScopes: API_TOKEN_SCOPES,
+      newToken: null,
     });
   });
 
@@ -60,7 +65,7 @@ export default async function adminUsersRoutes(fastify) {
       return reply.redirect('/admin/users/new?error=password_too_short');
     }
 
-    const validRoles = ['admin', 'editor'];
+    const validRoles = ['admin', 'editor', 'reviewer'];
     if (!role || !validRoles.includes(role)) {
       return reply.redirect('/admin/users/new?error=invalid_role');
     }
@@ -124,11 +129,21 @@ export default async function adminUsersRoutes(fastify) {
       return reply.redirect('/admin/users?error=user_not_found');
     }
 
+    // A freshly issued token is shown exactly once
+    const newToken = request.session.newApiToken || null;
+    if (newToken) {
+      request.session.newApiToken = undefined;
+    }
+
     return reply.view('admin/user-form.ejs', {
       user,
       isNew: false,
       currentUser: request.session,
       error: request.query.error,
+      success: request.query.success,
+      tokens: listApiTokens(user.id),
+      tokenScopes: API_TOKEN_SCOPES,
+      newToken: newToken && newToken.userId === user.id ? newToken.token : null,
     });
   });
 
@@ -153,7 +168,7 @@ export default async function adminUsersRoutes(fastify) {
       return reply.redirect(`/admin/users/${id}/edit?error=missing_email`);
     }
 
-    const validRoles = ['admin', 'editor'];
+    const validRoles = ['admin', 'editor', 'reviewer'];
     if (!role || !validRoles.includes(role)) {
       return reply.redirect(`/admin/users/${id}/edit?error=invalid_role`);
     }
@@ -257,4 +272,99 @@ export default async function adminUsersRoutes(fastify) {
       return reply.redirect('/admin/users?error=server_error');
     }
   });
+
+  /**
+   * POST /admin/users/:id/tokens
+   * Issue an API token bound to the user and its client_key
+   */
+  fastify.post('/admin/users/:id/tokens', {
+    preHandler: [fastify.requireAuth, fastify.requireAdmin],
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const userId = parseInt(id, 10);
+    const { name, expires_in_days } = request.body || {};
+
+    const user = getUserById(userId);
+    if (!user) {
+      return reply.redirect('/admin/users?error=user_not_found');
+    }
+
+    const trimmedName = name ? name.trim() : '';
+    if (trimmedName.length === 0 || trimmedName.length > 100) {
+      return reply.redirect(`/admin/users/${id}/edit?error=invalid_token_name`);
+    }
+
+    // Checkbox groups arrive as a string for one value and an array for several
+    const rawScopes = request.body.scopes;
+    const scopes = (Array.isArray(rawScopes) ? rawScopes : [rawScopes])
+      .filter(scope => API_TOKEN_SCOPES.includes(scope));
+    if (scopes.length === 0) {
+      return reply.redirect(`/admin/users/${id}/edit?error=missing_token_scope`);
+    }
+
+    let expiresInDays = null;
+    if (expires_in_days !== undefined && expires_in_days !== '') {
+      expiresInDays = parseInt(expires_in_days, 10);
+      if (Number.isNaN(expiresInDays) || expiresInDays < 1 || expiresInDays > 3650) {
+        return reply.redirect(`/admin/users/${id}/edit?error=invalid_token_expiry`);
+      }
+    }
+
+    const created = createApiToken(userId, {
+      name: trimmedName,
+      scopes,
+      expiresInDays,
+      createdBy: request.session.email,
+    });
+
+    request.session.newApiToken = { userId, token: created.token };
+
+    logAudit(null, request.session.email, 'api_token_created', {
+      token_id: created.id,
+      token_prefix: created.prefix,
+      user_id: userId,
+      client_key: user.client_key,
+      scopes,
+      expires_in_days: expiresInDays,
+    });
+
+    fastify.log.info({
+      admin_id: request.session.userId,
+      token_id: created.id,
+      user_id: userId,
+      trace_id: request.id,
+    }, 'API token created');
+
+    return reply.redirect(`/admin/users/${id}/edit?success=token_created`);
+  });
+
+  /**
+   * POST /admin/users/:id/tokens/:tokenId/revoke
+   * Revoke an API token
+   */
+  fastify.post('/admin/users/:id/tokens/:tokenId/revoke', {
+    preHandler: [fastify.requireAuth, fastify.requireAdmin],
+  }, async (request, reply) => {
+    const { id, tokenId } = request.params;
+    const userId = parseInt(id, 10);
+
+    const revoked = revokeApiToken(userId, parseInt(tokenId, 10));
+    if (!revoked) {
+      return reply.redirect(`/admin/users/${id}/edit?error=token_not_found`);
+    }
+
+    logAudit(null, request.session.email, 'api_token_revoked', {
+      token_id: parseInt(tokenId, 10),
+      user_id: userId,
+    });
+
+    fastify.log.info({
+      admin_id: request.session.userId,
+      token_id: tokenId,
+      user_id: userId,
+      trace_id: request.id,
+    }, 'API token revoked');
+
+    return reply.redirect(`/admin/users/${id}/edit?success=token_revoked`);
+  });
 }
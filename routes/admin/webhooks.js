@@ -0,0 +1,214 @@
+import { logAudit } from '../../lib/audit.js';
+import { ValidationError } from '../../lib/validation.js';
+import {
+  WEBHOOK_EVENTS,
+  validateWebhookInput,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  queueDelivery,
+  listDeliveries,
+  redeliver,
+  kickWebhookWorker,
+} from '../../lib/webhooks.js';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+export default async function adminWebhooksRoutes(fastify) {
+  const preHandler = [fastify.requireAuth, fastify.requireAdmin];
+
+  /**
+   * GET /admin/webhooks
+   * List webhook endpoints
+   */
+  fastify.get('/admin/webhooks', { preHandler }, async (request, reply) => {
+    return reply.view('admin/webhooks.ejs', {
+      webhooks: listWebhooks(),
+      events: WEBHOOK_EVENTS,
+      currentUser: request.session,
+      success: request.query.success,
+      error: request.query.error,
+    });
+  });
+
+  /**
+   * POST /admin/webhooks
+   * Register a webhook endpoint
+   */
+  fastify.post('/admin/webhooks', { preHandler }, async (request, reply) => {
+    let data;
+    try {
+      data = await validateWebhookInput(request.body);
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return reply.redirect(`/admin/webhooks?error=${err.code}`);
+      }
+      throw err;
+    }
+
+    const webhook = createWebhook(data, request.session.email);
+
+    logAudit(null, request.session.email, 'webhook_created', {
+      webhook_id: webhook.id,
+      url: webhook.url,
+      events: webhook.events,
+    });
+
+    fastify.log.info({
+      admin_id: request.session.userId,
+      webhook_id: webhook.id,
+      trace_id: request.id,
+    }, 'Webhook created');
+
+    return reply.redirect(`/admin/webhooks/${webhook.id}/edit?success=webhook_created`);
+  });
+
+  /**
+   * GET /admin/webhooks/:id/edit
+   * Edit form with signing secret
+   */
+  fastify.get('/admin/webhooks/:id/edit', { preHandler }, async (request, reply) => {
+    const webhook = getWebhook(parseInt(request.params.id, 10));
+    if (!webhook) {
+      return reply.redirect('/admin/webhooks?error=webhook_not_found');
+    }
+
+    return reply.view('admin/webhook-form.ejs', {
+      webhook,
+      events: WEBHOOK_EVENTS,
+      currentUser: request.session,
+      success: request.query.success,
+      error: request.query.error,
+    });
+  });
+
+  /**
+   * POST /admin/webhooks/:id
+   * Update a webhook endpoint
+   */
+  fastify.post('/admin/webhooks/:id', { preHandler }, async (request, reply) => {
+    const { id } = request.params;
+
+    let data;
+    try {
+      data = await validateWebhookInput(request.body);
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return reply.redirect(`/admin/webhooks/${id}/edit?error=${err.code}`);
+      }
+      throw err;
+    }
+
+    const rotateSecret = request.body.rotate_secret === 'on';
+    const webhook = updateWebhook(parseInt(id, 10), {
+      ...data,
+      active: request.body.active === 'on',
+    }, { rotateSecret });
+
+    if (!webhook) {
+      return reply.redirect('/admin/webhooks?error=webhook_not_found');
+    }
+
+    logAudit(null, request.session.email, 'webhook_updated', {
+      webhook_id: webhook.id,
+      url: webhook.url,
+      events: webhook.events,
+      active: Boolean(webhook.active),
+      secret_rotated: rotateSecret,
+    });
+
+    return reply.redirect(`/admin/webhooks/${id}/edit?success=webhook_updated`);
+  });
+
+  /**
+   * POST /admin/webhooks/:id/delete
+   * Delete a webhook endpoint and its deliveries
+   */
+  fastify.post('/admin/webhooks/:id/delete', { preHandler }, async (request, reply) => {
+    const webhook = getWebhook(parseInt(request.params.id, 10));
+    if (!webhook || !deleteWebhook(webhook.id)) {
+      return reply.redirect('/admin/webhooks?error=webhook_not_found');
+    }
+
+    logAudit(null, request.session.email, 'webhook_deleted', {
+      webhook_id: webhook.id,
+      url: webhook.url,
+    });
+
+    return reply.redirect('/admin/webhooks?success=webhook_deleted');
+  });
+
+  /**
+   * POST /admin/webhooks/:id/test
+   * Queue a ping event for one endpoint
+   */
+  fastify.post('/admin/webhooks/:id/test', { preHandler }, async (request, reply) => {
+    const webhook = getWebhook(parseInt(request.params.id, 10));
+    if (!webhook) {
+      return reply.redirect('/admin/webhooks?error=webhook_not_found');
+    }
+
+    queueDelivery(webhook.id, 'ping', { webhook_id: webhook.id, actor: request.session.email });
+    kickWebhookWorker();
+
+    return reply.redirect(`/admin/webhooks/deliveries?webhook_id=${webhook.id}&success=ping_queued`);
+  });
+
+  /**
+   * GET /admin/webhooks/deliveries
+   * Delivery log with filters
+   */
+  fastify.get('/admin/webhooks/deliveries', { preHandler }, async (request, reply) => {
+    const { page = 1, webhook_id, status } = request.query;
+    const pageInt = Math.max(parseInt(page, 10) || 1, 1);
+    const limit = 50;
+
+    const filters = {
+      webhook_id: parseInt(webhook_id, 10) || null,
+      status: DELIVERY_STATUSES.includes(status) ? status : null,
+    };
+
+    const { deliveries, total } = listDeliveries({
+      webhookId: filters.webhook_id,
+      status: filters.status,
+      limit,
+      offset: (pageInt - 1) * limit,
+    });
+
+    return reply.view('admin/webhook-deliveries.ejs', {
+      deliveries,
+      total,
+      page: pageInt,
+      limit,
+      filters,
+      statuses: DELIVERY_STATUSES,
+      webhooks: listWebhooks(),
+      currentUser: request.session,
+      success: request.query.success,
+      error: request.query.error,
+    });
+  });
+
+  /**
+   * POST /admin/webhooks/deliveries/:id/redeliver
+   * Queue a delivery again with its original payload
+   */
+  fastify.post('/admin/webhooks/deliveries/:id/redeliver', { preHandler }, async (request, reply) => {
+    const deliveryId = parseInt(request.params.id, 10);
+    const newId = redeliver(deliveryId);
+
+    if (!newId) {
+      return reply.redirect('/admin/webhooks/deliveries?error=delivery_not_found');
+    }
+
+    logAudit(null, request.session.email, 'webhook_redelivered', {
+      delivery_id: deliveryId,
+      new_delivery_id: newId,
+    });
+    kickWebhookWorker();
+
+    return reply.redirect('/admin/webhooks/deliveries?success=redelivery_queued');
+  });
+}
@@ -1,90 +1,235 @@
-import { validateIngestRequest, generateSummary, ValidationError, validateRssToLinkedInRequest, buildLinkedInText } from '../lib/validation.js';
-import { generateUniqueSlug } from '../lib/slugify.js';
+import {
+  validateIngestRequest,
+  validateIngestBatchRequest,
+  ValidationError,
+  validateRssToLinkedInRequest,
+  buildLinkedInText,
+} from '../lib/validation.js';
 import { getDb } from '../db/index.js';
-import { getUserByClientKey } from '../lib/users.js';
-import { schedulePostForAutoPublish } from '../lib/auto-publish-worker.js';
+import { postUrl } from '../lib/publicPosts.js';
+import {
+  validateIdempotencyKey,
+  findExistingPost,
+  handleDuplicate,
+  createIngestedPost,
+  loadIngestImages,
+  removeStoredImages,
+  isIngestConflictError,
+} from '../lib/ingest.js';
+
+/**
+ * Read a multipart ingest request
+ * The "payload" field carries the JSON body (plain form fields are accepted too),
+ * every file part is kept in memory and can be referenced from images[].file.
+ * File parts not referenced by any image are attached in upload order.
+ * @returns {Promise<{body: object, files: object}>}
+ */
+async function readMultipartIngest(request) {
+  let body = {};
+  const fields = {};
+  const files = {};
+
+  for await (const part of request.parts()) {
+    if (part.type === 'file') {
+      files[part.fieldname] = { buffer: await part.toBuffer(), mimetype: part.mimetype };
+    } else if (part.fieldname === 'payload') {
+      try {
+        body = JSON.parse(part.value);
+      } catch {
+        throw new ValidationError('Multipart payload field must contain valid JSON', 'INVALID_PAYLOAD_JSON');
+      }
+    } else {
+      fields[part.fieldname] = part.value;
+    }
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Multipart payload field must be a JSON object', 'INVALID_PAYLOAD_JSON');
+  }
+
+  const merged = { ...fields, ...body };
+  const images = Array.isArray(merged.images) ? merged.images : [];
+  const referenced = new Set(images.map(image => image && image.file));
+  const unreferenced = Object.keys(files)
+    .filter(name => !referenced.has(name))
+    .map(name => ({ file: name }));
+
+  if (unreferenced.length > 0) {
+    merged.images = [...images, ...unreferenced];
+  }
+
+  return { body: merged, files };
+}
 
 export default async function ingestRoutes(fastify) {
+  const editUrl = (postId) => `${fastify.config.server.baseUrl}/admin/posts/${postId}`;
+
+  function toCreatedResponse(created) {
+    return {
+      id: created.id,
+      slug: created.slug,
+      status: 'draft',
+      auto_publish_scheduled: created.autoPublishScheduled,
+      publish_at: created.publishAt ? created.publishAt.toISOString() : null,
+      media: created.media,
+      edit_url: editUrl(created.id),
+    };
+  }
+
+  function logIngested(request, created, validatedData) {
+    if (created.autoPublishScheduled) {
+      fastify.log.info({
+        post_id: created.id,
+        user_id: created.userId,
+        publish_at: created.publishAt.toISOString(),
+        trace_id: request.id,
+      }, 'Post scheduled for auto-publish');
+    }
+
+    fastify.log.info({
+      post_id: created.id,
+      slug: created.slug,
+      source: validatedData.source,
+      ext_id: validatedData.ext_id,
+      auto_publish: created.autoPublishScheduled,
+      trace_id: request.id,
+    }, 'Post ingested successfully');
+  }
+
+  /**
+   * Per-client API tokens decide the client_key; the body value only counts for the global token
+   */
+  function applyTokenClient(request, data) {
+    if (!request.apiClient) {
+      return data;
+    }
+
+    if (data.client_key && data.client_key !== request.apiClient.clientKey) {
+      fastify.log.warn({
+        token_id: request.apiClient.tokenId,
+        requested_client_key: data.client_key,
+        trace_id: request.id,
+      }, 'Ignoring client_key that does not match the API token');
+    }
+
+    return { ...data, client_key: request.apiClient.clientKey };
+  }
+
+  /**
+   * Reply for an ingest item that matched an existing post
+   */
+  function sendDuplicateReply(request, reply, existing, validatedData) {
+    const { outcome, post } = handleDuplicate(existing, validatedData, fastify.config.ingest.duplicatePolicy);
+
+    fastify.log.info({
+      post_id: post.id,
+      source: validatedData.source,
+      ext_id: validatedData.ext_id,
+      outcome,
+      trace_id: request.id,
+    }, 'Duplicate ingest detected');
+
+    if (outcome === 'conflict') {
+      return reply.status(409).send({
+        error: 'Post already exists for this item',
+        code: 'DUPLICATE_POST',
+        details: { id: post.id, slug: post.slug },
+      });
+    }
+
+    return reply.status(200).send({
+      id: post.id,
+      slug: post.slug,
+      status: post.status,
+      duplicate: true,
+      updated: outcome === 'updated',
+      auto_publish_scheduled: Boolean(post.publish_at),
+      publish_at: post.publish_at || null,
+      edit_url: editUrl(post.id),
+    });
+  }
+
   /**
    * POST /ingest/text
    * Ingest text content and create draft post
+   * Retries with the same Idempotency-Key or (source, ext_id) return the original post
+   * Accepts JSON, or multipart with a "payload" JSON field plus image file parts
    */
   fastify.post('/ingest/text', {
-    onRequest: [fastify.verifyIngestToken],
+    preParsing: [fastify.verifyIngestToken],
   }, async (request, reply) => {
     const db = getDb();
+    const storedPaths = [];
 
     try {
+      const { body, files } = request.isMultipart()
+        ? await readMultipartIngest(request)
+        : { body: request.body, files: {} };
+
       // Validate request
-      const validatedData = validateIngestRequest(
-        request.body,
+      const validatedData = applyTokenClient(request, validateIngestRequest(
+        body,
         fastify.config.limits.maxTextLength
-      );
-
-      // Generate unique slug
-      const checkSlugExists = async (slug) => {
-        const existing = db.prepare('SELECT id FROM posts WHERE slug = ?').get(slug);
-        return !!existing;
-      };
-
-      const slug = await generateUniqueSlug(validatedData.text, checkSlugExists);
-      const summary = generateSummary(validatedData.text);
-
-      const result = db.prepare(`
-        INSERT INTO posts (slug, title, text, summary, status, source, ext_id, tag, link, client_key)
-        VALUES (?, ?, ?, ?, 'draft', ?, ?, ?, ?, ?)
-      `).run(
-        slug,
-        validatedData.title,
-        validatedData.text,
-        summary,
-        validatedData.source,
-        validatedData.ext_id,
-        validatedData.tag,
-        validatedData.link,
-        validatedData.client_key
-      );
-
-      const postId = result.lastInsertRowid;
-
-      // Check if user has auto-publish enabled
-      let autoPublishScheduled = false;
-      let publishAt = null;
-
-      if (validatedData.client_key) {
-        const user = getUserByClientKey(validatedData.client_key);
-        if (user && user.auto_publish_enabled) {
-          // Schedule for auto-publish in 6 hours
-          publishAt = schedulePostForAutoPublish(postId, 6);
-          autoPublishScheduled = true;
-
-          fastify.log.info({
-            post_id: postId,
-            user_id: user.id,
-            publish_at: publishAt.toISOString(),
-            trace_id: request.id,
-          }, 'Post scheduled for auto-publish');
-        }
+      ));
+      const idempotencyKey = validateIdempotencyKey(request.headers['idempotency-key']);
+
+      const existing = findExistingPost({ idempotencyKey, ...validatedData });
+      if (existing) {
+        return sendDuplicateReply(request, reply, existing, validatedData);
       }
 
-      fastify.log.info({
-        post_id: postId,
-        slug,
-        source: validatedData.source,
-        ext_id: validatedData.ext_id,
-        auto_publish: autoPublishScheduled,
-        trace_id: request.id,
-      }, 'Post ingested successfully');
-
-      return reply.status(201).send({
-        id: postId,
-        slug,
-        status: 'draft',
-        auto_publish_scheduled: autoPublishScheduled,
-        publish_at: publishAt ? publishAt.toISOString() : null,
-        edit_url: `${fastify.config.server.baseUrl}/admin/posts/${postId}`,
+      const images = await loadIngestImages(validatedData.images, {
+        files,
+        limit: fastify.config.uploads.maxFileSize,
       });
 
+      let created;
+      try {
+        created = db.transaction(() => createIngestedPost(validatedData, { idempotencyKey, images, storedPaths }))();
+      } catch (err) {
+        removeStoredImages(storedPaths);
+
+        // A concurrent retry won the race between lookup and insert
+        const raced = isIngestConflictError(err) ? findExistingPost({ idempotencyKey, ...validatedData }) : null;
+        if (raced) {
+          return sendDuplicateReply(request, reply, raced, validatedData);
+        }
+        throw err;
+      }
+
+      logIngested(request, created, validatedData);
+
+      return reply.status(201).send(toCreatedResponse(created));
+
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return reply.status(err.statusCode).send({
+          error: err.message,
+          code: err.code,
+          details: err.details,
+        });
+      }
+      throw err;
+    }
+  });
+
+  /**
+   * POST /ingest/batch
+   * Ingest several posts in one SQLite transaction
+   * Body: array of IngestTextRequest objects, or { items: [...], mode }
+   * mode: best_effort (default) skips failing items, all_or_nothing rolls back on the first failure
+   */
+  fastify.post('/ingest/batch', {
+    preParsing: [fastify.verifyIngestToken],
+  }, async (request, reply) => {
+    const db = getDb();
+    const policy = fastify.config.ingest.duplicatePolicy;
+
+    let batch;
+    let batchKey;
+    try {
+      batch = validateIngestBatchRequest(request.body, request.query.mode, fastify.config.ingest.maxBatchSize);
+      batchKey = validateIdempotencyKey(request.headers['idempotency-key']);
     } catch (err) {
       if (err instanceof ValidationError) {
         return reply.status(err.statusCode).send({
@@ -95,6 +240,183 @@ export default async function ingestRoutes(fastify) {
       }
       throw err;
     }
+
+    const { items, mode } = batch;
+    const atomic = mode === 'all_or_nothing';
+
+    // Validate every item and load its images up front, outside the transaction. Items that are already
+    // ingested get no images, and all images of the batch together stay within maxBatchImageBytes.
+    const entries = [];
+    let imageBytes = 0;
+    for (const [index, item] of items.entries()) {
+      try {
+        const data = applyTokenClient(request, validateIngestRequest(item, fastify.config.limits.maxTextLength));
+        // Scoped to the item's client key like a single ingest's key, see findExistingPost
+        const idempotencyKey = batchKey ? `${batchKey}:${index}` : null;
+
+        if (findExistingPost({ idempotencyKey, ...data })) {
+          entries.push({ index, data, idempotencyKey, images: [] });
+          continue;
+        }
+
+        const images = await loadIngestImages(data.images, {
+          limit: fastify.config.uploads.maxFileSize,
+          totalLimit: fastify.config.ingest.maxBatchImageBytes - imageBytes,
+        });
+        imageBytes += images.reduce((sum, image) => sum + image.buffer.length, 0);
+        entries.push({ index, data, idempotencyKey, images });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          entries.push({ index, error: { status: 'error', error: err.message, code: err.code, details: err.details } });
+          continue;
+        }
+        throw err;
+      }
+    }
+
+    const invalid = entries.filter(e => e.error);
+    if (atomic && invalid.length > 0) {
+      return reply.status(400).send({
+        error: 'Batch contains invalid items, nothing was ingested',
+        code: 'BATCH_VALIDATION_FAILED',
+        mode,
+        results: entries.map(e => ({ index: e.index, ...(e.error || { status: 'skipped' }) })),
+      });
+    }
+
+    // Nested transaction runs as a savepoint, so a failing item only rolls back itself
+    const ingestItem = db.transaction((data, options) => {
+      const existing = findExistingPost({ idempotencyKey: options.idempotencyKey, ...data });
+      if (existing) {
+        return handleDuplicate(existing, data, policy);
+      }
+      return { outcome: 'created', created: createIngestedPost(data, options) };
+    });
+
+    const storedPaths = [];
+
+    const runBatch = db.transaction(() => entries.map(({ index, data, idempotencyKey, images, error }) => {
+      if (error) {
+        return { index, ...error };
+      }
+
+      const itemPaths = [];
+
+      try {
+        const { outcome, created, post } = ingestItem(data, { idempotencyKey, images, storedPaths: itemPaths });
+        storedPaths.push(...itemPaths);
+
+        if (outcome === 'created') {
+          return { index, status: 'created', created, data };
+        }
+
+        if (outcome === 'conflict') {
+          const conflict = {
+            index,
+            status: 'error',
+            error: 'Post already exists for this item',
+            code: 'DUPLICATE_POST',
+            details: { id: post.id, slug: post.slug },
+          };
+          if (atomic) {
+            throw Object.assign(new Error(conflict.error), { batchResult: conflict });
+          }
+          return conflict;
+        }
+
+        return {
+          index,
+          status: outcome === 'updated' ? 'updated' : 'duplicate',
+          id: post.id,
+          slug: post.slug,
+          edit_url: editUrl(post.id),
+        };
+      } catch (err) {
+        removeStoredImages(itemPaths);
+        if (atomic) {
+          throw err;
+        }
+        request.log.error({ err, index, trace_id: request.id }, 'Batch item failed');
+        return { index, status: 'error', error: err.message, code: err.code || 'INTERNAL_ERROR' };
+      }
+    }));
+
+    let results;
+    try {
+      results = runBatch.immediate();
+    } catch (err) {
+      removeStoredImages(storedPaths);
+      if (err.batchResult) {
+        return reply.status(409).send({
+          error: 'Batch rejected, nothing was ingested',
+          code: 'BATCH_CONFLICT',
+          mode,
+          results: [err.batchResult],
+        });
+      }
+      throw err;
+    }
+
+    // Log only after the transaction committed
+    results = results.map(({ created, data, ...result }) => {
+      if (result.status !== 'created') {
+        return result;
+      }
+      logIngested(request, created, data);
+      return { index: result.index, ...toCreatedResponse(created), status: 'created' };
+    });
+
+    const count = (status) => results.filter(r => r.status === status).length;
+
+    fastify.log.info({
+      mode,
+      total: results.length,
+      created: count('created'),
+      failed: count('error'),
+      trace_id: request.id,
+    }, 'Batch ingested');
+
+    return reply.status(200).send({
+      mode,
+      total: results.length,
+      created: count('created'),
+      duplicates: count('duplicate') + count('updated'),
+      failed: count('error'),
+      results,
+    });
+  });
+
+  /**
+   * GET /ingest/posts/:id
+   * Current state of an ingested post, so a client can follow it through review and publishing
+   * Per-client API tokens only see posts of their client_key; others answer 404 like missing ones
+   */
+  fastify.get('/ingest/posts/:id', {
+    preParsing: [fastify.verifyApiToken('read')],
+  }, async (request, reply) => {
+    const db = getDb();
+    const post = db.prepare(`
+      SELECT id, slug, title, status, client_key, publish_at, pub_date, updated_at
+      FROM posts
+      WHERE id = ? AND deleted_at IS NULL
+    `).get(request.params.id);
+
+    if (!post || (request.apiClient && (post.client_key || null) !== request.apiClient.clientKey)) {
+      return reply.status(404).send({ error: 'Post not found', code: 'NOT_FOUND' });
+    }
+
+    return reply.send({
+      id: post.id,
+      slug: post.slug,
+      title: post.title,
+      status: post.status,
+      client_key: post.client_key,
+      publish_at: post.publish_at,
+      pub_date: post.pub_date,
+      updated_at: post.updated_at,
+      url: post.status === 'published' ? postUrl(fastify.config.server.baseUrl, post.slug) : null,
+      edit_url: editUrl(post.id),
+    });
   });
 
   /**
@@ -102,7 +424,7 @@ export default async function ingestRoutes(fastify) {
    * Accept RSS item fields and return LinkedIn-ready text and media hint
    */
   fastify.post('/ingest/rss-to-linkedin', {
-    onRequest: [fastify.verifyIngestToken],
+    preParsing: [fastify.verifyApiToken('rss-to-linkedin')],
   }, async (request, reply) => {
     try {
       const data = validateRssToLinkedInRequest(request.body);
@@ -0,0 +1,196 @@
+import { stripHtml } from '../lib/sanitize.js';
+import { sendCached } from '../lib/httpCache.js';
+import { resolveChannelSettings } from '../lib/feedChannels.js';
+import {
+  parseDbDate,
+  postUrl,
+  postTitle,
+  getPublishedPost,
+  findMovedPostSlug,
+  listPostImages,
+  renderPostHtml,
+  listPublishedPosts,
+  listPublishedTags,
+  listSitemapPosts,
+} from '../lib/publicPosts.js';
+
+function describe(post) {
+  const text = (post.summary || stripHtml(post.text)).replace(/\s+/g, ' ').trim();
+  return text.length > 200 ? text.slice(0, 197) + '…' : text;
+}
+
+function httpDate(value) {
+  return value ? parseDbDate(value).toUTCString() : null;
+}
+
+export default async function publicRoutes(fastify) {
+  const baseUrl = fastify.config.server.baseUrl;
+  const root = baseUrl.replace(/\/$/, '');
+  const { indexing, pageSize, sitemapLimit } = fastify.config.site;
+
+  // Name and logo come from the feed channel defaults (Admin → Feed settings), so pages and feeds match
+  const siteChannel = () => resolveChannelSettings(baseUrl);
+
+  /**
+   * Render a public page and send it with ETag/Last-Modified handling
+   */
+  async function sendPage(request, reply, template, data, lastModified) {
+    const body = await fastify.view(template, { siteName: siteChannel().title, noindex: !indexing, ...data });
+
+    return sendCached(request, reply, {
+      body,
+      contentType: 'text/html; charset=utf-8',
+      lastModified: httpDate(lastModified),
+    });
+  }
+
+  function sendNotFound(reply) {
+    return reply.status(404).view('public/not-found.ejs', { siteName: siteChannel().title });
+  }
+
+  /**
+   * Render a page of the post listing, shared by / and /tag/:tag
+   */
+  async function sendListing(request, reply, { tag = null, basePath }) {
+    const page = Math.max(1, parseInt(request.query.page, 10) || 1);
+    const { posts, total, lastModified } = listPublishedPosts({ tag, page, pageSize });
+    const totalPages = Math.max(1, Math.ceil(total / pageSize));
+
+    if ((tag && total === 0) || page > totalPages) {
+      return sendNotFound(reply);
+    }
+
+    const pageUrl = (n) => (n === 1 ? basePath : `${basePath}?page=${n}`);
+
+    return sendPage(request, reply, 'public/index.ejs', {
+      tag: tag ? posts[0].tag : null,
+      tags: listPublishedTags(),
+      posts: posts.map(post => ({
+        ...post,
+        title: postTitle(post),
+        description: describe(post),
+        published: (parseDbDate(post.pub_date) || parseDbDate(post.updated_at)).toISOString(),
+      })),
+      page,
+      totalPages,
+      canonicalUrl: `${root}${pageUrl(page)}`,
+      prevUrl: page > 1 ? pageUrl(page - 1) : null,
+      nextUrl: page < totalPages ? pageUrl(page + 1) : null,
+      feedUrl: tag ? `/rss/tag/${encodeURIComponent(tag)}.xml` : '/rss.xml',
+    }, lastModified);
+  }
+
+  /**
+   * GET /
+   * Public index of published posts, paginated with ?page=
+   */
+  fastify.get('/', async (request, reply) => {
+    return sendListing(request, reply, { basePath: '/' });
+  });
+
+  /**
+   * GET /tag/:tag
+   * Archive of published posts with one tag (case-insensitive)
+   */
+  fastify.get('/tag/:tag', async (request, reply) => {
+    const { tag } = request.params;
+    return sendListing(request, reply, { tag, basePath: `/tag/${encodeURIComponent(tag)}` });
+  });
+
+  /**
+   * GET /p/:slug
+   * Public article page of a published post; an old slug of the post redirects with 301
+   */
+  fastify.get('/p/:slug', async (request, reply) => {
+    const post = getPublishedPost(request.params.slug);
+
+    if (!post) {
+      const moved = findMovedPostSlug(request.params.slug);
+      return moved ? reply.redirect(postUrl(baseUrl, moved), 301) : sendNotFound(reply);
+    }
+
+    const url = postUrl(baseUrl, post.slug);
+    const title = postTitle(post);
+    const description = describe(post);
+    const images = listPostImages(post);
+    const cover = images[0]?.cover ? images[0] : null;
+    const gallery = cover ? images.slice(1) : images;
+    const modified = parseDbDate(post.updated_at).toISOString();
+    const published = post.pub_date ? parseDbDate(post.pub_date).toISOString() : modified;
+    const channel = siteChannel();
+
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'NewsArticle',
+      headline: title.slice(0, 110),
+      description,
+      url,
+      mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+      datePublished: published,
+      dateModified: modified,
+      ...(images.length > 0 ? { image: images.map(image => image.url) } : {}),
+      ...(post.tag ? { articleSection: post.tag, keywords: post.tag } : {}),
+      ...(post.link ? { isBasedOn: post.link } : {}),
+      publisher: {
+        '@type': 'Organization',
+        name: channel.title,
+        logo: { '@type': 'ImageObject', url: channel.imageUrl || `${root}/public/img/logo.png` },
+      },
+    };
+
+    return sendPage(request, reply, 'public/post.ejs', {
+      post,
+      url,
+      title,
+      description,
+      cover,
+      gallery,
+      published,
+      modified,
+      contentHtml: renderPostHtml(post.text),
+      // "</script>" inside a string would close the JSON-LD block
+      jsonLd: JSON.stringify(jsonLd).replace(/</g, '\\u003c'),
+    }, post.updated_at);
+  });
+
+  /**
+   * GET /sitemap.xml
+   * Index, tag archives and all published posts
+   */
+  fastify.get('/sitemap.xml', async (request, reply) => {
+    const posts = listSitemapPosts(sitemapLimit);
+    const tags = listPublishedTags();
+    const lastModified = [...posts, ...tags]
+      .map(entry => entry.updated_at || entry.last_modified)
+      .sort()
+      .pop() || null;
+
+    const toLastmod = (value) => (value ? parseDbDate(value).toISOString() : null);
+
+    const urls = [
+      { loc: `${root}/`, lastmod: toLastmod(lastModified) },
+      ...tags.map(t => ({ loc: `${root}/tag/${encodeURIComponent(t.tag)}`, lastmod: toLastmod(t.last_modified) })),
+      ...posts.map(p => ({ loc: postUrl(baseUrl, p.slug), lastmod: toLastmod(p.updated_at) })),
+    ];
+
+    const body = await fastify.view('public/sitemap.ejs', { urls });
+
+    return sendCached(request, reply, {
+      body,
+      contentType: 'application/xml; charset=utf-8',
+      lastModified: httpDate(lastModified),
+    });
+  });
+
+  /**
+   * GET /robots.txt
+   * Allows crawling of the public site unless SITE_INDEXING=false
+   */
+  fastify.get('/robots.txt', async (request, reply) => {
+    const body = indexing
+      ? `User-agent: *\nDisallow: /admin/\nDisallow: /ingest/\nAllow: /\n\nSitemap: ${root}/sitemap.xml\n`
+      : 'User-agent: *\nDisallow: /\n';
+
+    return sendCached(request, reply, { body, contentType: 'text/plain; charset=utf-8', maxAge: 3600 });
+  });
+}
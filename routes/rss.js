@@ -1,33 +1,192 @@
 import fp from 'fastify-plugin';
-import { createRssBuilder } from '../lib/rssBuilder.js';
+import { createFeedBuilder, feedKey, FEED_FORMATS } from '../lib/rssBuilder.js';
+import { sendCached } from '../lib/httpCache.js';
+import { publishFeedUpdates } from '../lib/websub.js';
+
+/**
+ * Pick a feed format from the Accept header, RSS unless Atom or JSON is asked for
+ */
+function negotiateFormat(accept = '') {
+  const types = accept.split(',').map(part => {
+    const [type, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    return { type, q: q ? parseFloat(q.slice(2)) : 1 };
+  }).filter(t => t.q > 0).sort((a, b) => b.q - a.q);
+
+  for (const { type } of types) {
+    if (type === 'application/rss+xml') return 'rss';
+    if (type === 'application/atom+xml') return 'atom';
+    if (type === 'application/feed+json' || type === 'application/json') return 'json';
+  }
+  return 'rss';
+}
+
+// Filtered feeds are built on demand; keep the number of cached filters bounded
+const MAX_FILTERED_FEEDS = 500;
+
 
 async function rssRoutes(fastify) {
-  const builder = createRssBuilder({
-    baseUrl: fastify.config.server.baseUrl,
-    feedSize: fastify.config.rss.feedSize,
+  const baseUrl = fastify.config.server.baseUrl;
+  const root = baseUrl.replace(/\/$/, '');
+  const feedSize = fastify.config.rss.feedSize;
+  const hubUrl = fastify.config.websub.enabled ? `${root}/websub` : null;
+
+  const builder = createFeedBuilder({ baseUrl, feedSize, hubUrl });
+  const filteredBuilders = new Map();
+
+  function getFilteredBuilder(filter, path) {
+    const key = feedKey(filter);
+    let filtered = filteredBuilders.get(key);
+
+    if (!filtered) {
+      if (filteredBuilders.size >= MAX_FILTERED_FEEDS) {
+        filteredBuilders.delete(filteredBuilders.keys().next().value);
+      }
+      filtered = createFeedBuilder({ baseUrl, feedSize, hubUrl, filter, paths: { rss: path } });
+      filteredBuilders.set(key, filtered);
+    }
+
+    return filtered;
+  }
+
+  /**
+   * Map a feed URL (WebSub topic) to its builder and format
+   * @returns {{key: string, feedBuilder: object, format: string}|null} null for URLs that are not our feeds
+   */
+  function resolveTopic(topic) {
+    if (!topic.startsWith(`${root}/`)) return null;
+    const path = topic.slice(root.length);
+
+    const format = Object.keys(FEED_FORMATS).find(f => FEED_FORMATS[f].path === path);
+    if (format) {
+      return { key: feedKey({}), feedBuilder: builder, format };
+    }
+
+    const match = path.match(/^\/rss\/(client|tag)\/([^/?#]+)\.xml$/);
+    if (!match) return null;
+
+    let value;
+    try {
+      value = decodeURIComponent(match[2]);
+    } catch {
+      return null;
+    }
+
+    const filter = match[1] === 'client' ? { clientKey: value } : { tag: value };
+    return { key: feedKey(filter), feedBuilder: getFilteredBuilder(filter, path), format: 'rss' };
+  }
+
+  /**
+   * Current content of a feed URL for WebSub pushes
+   * @returns {{key: string, body: string, contentType: string, etag: string}|null}
+   */
+  fastify.decorate('feedTopic', (topic) => {
+    const resolved = resolveTopic(topic);
+    if (!resolved) return null;
+
+    const { body, etag } = resolved.feedBuilder.getCache(resolved.format);
+    return { key: resolved.key, body, etag, contentType: FEED_FORMATS[resolved.format].contentType };
   });
 
-  fastify.decorate('rssInvalidate', () => builder.invalidate());
+  /**
+   * Invalidate cached feeds and push the changed ones to WebSub subscribers
+   * Without arguments every feed is dropped. Given posts ({ client_key, tag }, one or an array),
+   * only the main feed and the client and tag feeds those posts appear in are rebuilt.
+   */
+  fastify.decorate('rssInvalidate', (posts) => {
+    builder.invalidate();
+
+    let changed = null;
 
-  fastify.get('/rss.xml', async (request, reply) => {
-    const cache = builder.getCache();
+    if (!posts) {
+      filteredBuilders.forEach(filtered => filtered.invalidate());
+    } else {
+      changed = new Set([feedKey({})]);
+      for (const post of [].concat(posts)) {
+        if (post.client_key) changed.add(feedKey({ clientKey: post.client_key }));
+        if (post.tag) changed.add(feedKey({ tag: post.tag }));
+      }
+      changed.forEach(key => filteredBuilders.get(key)?.invalidate());
+    }
+
+    if (hubUrl) {
+      try {
+        publishFeedUpdates(fastify.feedTopic, changed);
+      } catch (err) {
+        fastify.log.error({ err }, 'Failed to queue WebSub pushes');
+      }
+    }
+  });
 
-    const inm = request.headers['if-none-match'];
-    const ims = request.headers['if-modified-since'];
+  /**
+   * Send the current feed, or with ?page=N one of its archive pages (RFC 5005)
+   * Archive pages are filed once and keep their posts, so they are served as immutable; only the newest one
+   * still changes, when the next page is filed and it gains a next-archive link.
+   */
+  function sendFeed(request, reply, format, feedBuilder = builder) {
+    const { page } = request.query;
 
-    reply.header('Content-Type', 'application/rss+xml; charset=utf-8');
-    reply.header('ETag', cache.etag);
-    reply.header('Last-Modified', cache.lastModified);
-    reply.header('Cache-Control', 'public, max-age=60');
+    if (page !== undefined) {
+      const archive = /^\d+$/.test(page) ? feedBuilder.getArchive(format, parseInt(page, 10)) : null;
+      if (!archive) {
+        return reply.status(404).send({ error: 'Archive page not found', code: 'NOT_FOUND' });
+      }
 
-    if (inm && inm === cache.etag) {
-      return reply.status(304).send();
+      return sendCached(request, reply, {
+        body: archive.body,
+        contentType: FEED_FORMATS[format].contentType,
+        etag: archive.etag,
+        lastModified: archive.lastModified,
+        immutable: !archive.newest,
+      });
     }
-    if (ims && new Date(ims) >= new Date(cache.lastModified)) {
-      return reply.status(304).send();
+
+    const cache = feedBuilder.getCache(format);
+
+    if (hubUrl) {
+      reply.header('Link', `<${hubUrl}>; rel="hub", <${cache.selfUrl}>; rel="self"`);
     }
 
-    return reply.send(cache.xml);
+    return sendCached(request, reply, {
+      body: cache.body,
+      contentType: FEED_FORMATS[format].contentType,
+      etag: cache.etag,
+      lastModified: cache.lastModified,
+    });
+  }
+
+  for (const [format, { path }] of Object.entries(FEED_FORMATS)) {
+    fastify.get(path, async (request, reply) => sendFeed(request, reply, format));
+  }
+
+  /**
+   * GET /rss/client/:clientKey.xml
+   * RSS feed with the published posts of one client
+   */
+  fastify.get('/rss/client/:clientKey.xml', async (request, reply) => {
+    const { clientKey } = request.params;
+    const feedBuilder = getFilteredBuilder({ clientKey }, `/rss/client/${encodeURIComponent(clientKey)}.xml`);
+    return sendFeed(request, reply, 'rss', feedBuilder);
+  });
+
+  /**
+   * GET /rss/tag/:tag.xml
+   * RSS feed with the published posts of one tag (case-insensitive)
+   */
+  fastify.get('/rss/tag/:tag.xml', async (request, reply) => {
+    const { tag } = request.params;
+    const feedBuilder = getFilteredBuilder({ tag }, `/rss/tag/${encodeURIComponent(tag)}.xml`);
+    return sendFeed(request, reply, 'rss', feedBuilder);
+  });
+
+  /**
+   * GET /feed
+   * Same feed, format chosen by the Accept header
+   */
+  fastify.get('/feed', async (request, reply) => {
+    const vary = reply.getHeader('vary');
+    reply.header('Vary', vary ? `${vary}, Accept` : 'Accept');
+    return sendFeed(request, reply, negotiateFormat(request.headers.accept));
   });
 }
 
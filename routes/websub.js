@@ -0,0 +1,45 @@
+import { ValidationError } from '../lib/validation.js';
+import { validateHubRequest, verifyIntent } from '../lib/websub.js';
+
+export default async function websubRoutes(fastify) {
+  if (!fastify.config.websub.enabled) {
+    return;
+  }
+
+  /**
+   * POST /websub
+   * WebSub hub: subscribe/unsubscribe to our feeds (hub.mode, hub.topic, hub.callback,
+   * hub.lease_seconds, hub.secret as form fields). Answers 202 and verifies the intent
+   * with the subscriber asynchronously.
+   */
+  fastify.post('/websub', async (request, reply) => {
+    let hubRequest;
+    try {
+      hubRequest = await validateHubRequest(request.body || {}, (topic) => Boolean(fastify.feedTopic(topic)));
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return reply.status(err.statusCode).send({
+          error: err.message,
+          code: err.code,
+          details: err.details,
+        });
+      }
+      throw err;
+    }
+
+    fastify.log.info({
+      mode: hubRequest.mode,
+      topic: hubRequest.topic,
+      callback: hubRequest.callback,
+      trace_id: request.id,
+    }, 'WebSub request accepted');
+
+    setImmediate(() => {
+      verifyIntent(hubRequest).catch(err => {
+        fastify.log.error({ err, callback: hubRequest.callback }, 'WebSub intent verification error');
+      });
+    });
+
+    return reply.status(202).send();
+  });
+}
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Local fixture server for testing the feed poller without network access
+ *
+ *   GET /feeds/<name>.xml       feeds from scripts/fixtures/feeds (ETag / 304 supported)
+ *   GET /images/<name>.png      a small PNG for item images
+ *   POST /openai/chat/completions  canned LLM answers (OPENAI_BASE_URL=http://localhost:<port>/openai)
+ *
+ * Usage: node scripts/feed-fixture-server.js [--port 4600]
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, 'fixtures', 'feeds');
+
+const portArg = process.argv.indexOf('--port');
+const port = portArg !== -1 ? Number(process.argv[portArg + 1]) : Number(process.env.FIXTURE_PORT || 4600);
+const baseUrl = `http://localhost:${port}`;
+
+// 1x1 PNG
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+function sendFeed(req, res, name) {
+  const file = path.join(fixturesDir, path.basename(name));
+  if (!file.endsWith('.xml') || !fs.existsSync(file)) {
+    res.writeHead(404);
+    return res.end('Not found');
+  }
+
+  const body = fs.readFileSync(file, 'utf8').replaceAll('{{baseUrl}}', baseUrl);
+  const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, { etag });
+    return res.end();
+  }
+
+  res.writeHead(200, { 'content-type': 'application/rss+xml; charset=utf-8', etag });
+  return res.end(body);
+}
+
+function sendCompletion(req, res) {
+  let raw = '';
+  req.on('data', (chunk) => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    const { messages = [] } = JSON.parse(raw || '{}');
+    const system = messages.find((m) => m.role === 'system')?.content || '';
+    const user = messages.find((m) => m.role === 'user')?.content || '';
+
+    // Scoring prompt: pick the last candidate so the choice is visible in tests
+    const content = system.includes('Nachrichtenwert')
+      ? String(Math.max(JSON.parse(user).length - 1, 0))
+      : `📊 ${user.split(':')[0]}\n\nFixture-Artikel auf Basis von: ${user}`;
+
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+  });
+}
+
+http.createServer((req, res) => {
+  const url = new URL(req.url, baseUrl);
+  console.log(`${req.method} ${url.pathname}`);
+
+  if (req.method === 'GET' && url.pathname.startsWith('/feeds/')) {
+    return sendFeed(req, res, url.pathname.slice('/feeds/'.length));
+  }
+
+  if (req.method === 'GET' && url.pathname.startsWith('/images/')) {
+    res.writeHead(200, { 'content-type': 'image/png', 'content-length': PNG.length });
+    return res.end(PNG);
+  }
+
+  if (req.method === 'POST' && url.pathname === '/openai/chat/completions') {
+    return sendCompletion(req, res);
+  }
+
+  res.writeHead(404);
+  return res.end('Not found');
+}).listen(port, () => {
+  console.log(`Feed fixtures on ${baseUrl}/feeds/finance-rss.xml and ${baseUrl}/feeds/finance-atom.xml`);
+});
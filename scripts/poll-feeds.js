@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Poll feed sources once, without the server
+ * Usage: node scripts/poll-feeds.js            (all due sources)
+ *        node scripts/poll-feeds.js --source 3 (one source, due or not)
+ */
+
+import config from '../config/index.js';
+import { initDb, closeDb } from '../db/index.js';
+import { getFeedSource, pollFeedSource, pollDueFeeds } from '../lib/feedPoller.js';
+
+initDb(config.db.path);
+
+const sourceArg = process.argv.indexOf('--source');
+
+try {
+  let results;
+  if (sourceArg !== -1) {
+    const source = getFeedSource(parseInt(process.argv[sourceArg + 1], 10));
+    if (!source) {
+      throw new Error('Feed source not found');
+    }
+    results = [{ id: source.id, name: source.name, ...(await pollFeedSource(source)) }];
+  } else {
+    results = await pollDueFeeds();
+  }
+
+  for (const result of results) {
+    const detail = result.error ? `error=${result.error}` : `new=${result.newItems}${result.postId ? ` post=${result.postId}` : ''}`;
+    console.log(`${result.name}: ${result.status} (${detail})`);
+  }
+
+  console.log(`Done. Polled: ${results.length}.`);
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  closeDb();
+}
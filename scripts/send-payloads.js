@@ -6,6 +6,7 @@ import process from 'node:process';
 import { fileURLToPath } from 'node:url';
 import http from 'node:http';
 import https from 'node:https';
+import crypto from 'node:crypto';
 import { config as dotenvConfig } from 'dotenv';
 
 dotenvConfig();
@@ -17,9 +18,13 @@ function parseArgs(argv) {
   const opts = {
     baseUrl: process.env.BASE_URL || 'http://localhost:3025',
     token: process.env.INGEST_TOKEN || '',
+    signingSecret: process.env.INGEST_SIGNING_SECRET || '',
+    sign: process.env.SIGN === 'true',
     delayMs: process.env.DELAY_MS ? Number(process.env.DELAY_MS) : 0,
     continueOnError: process.env.CONTINUE_ON_ERROR === 'true',
     dryRun: process.env.DRY_RUN === 'true',
+    batch: process.env.BATCH === 'true',
+    batchMode: process.env.BATCH_MODE || 'best_effort',
     files: [],
   };
 
@@ -38,6 +43,11 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === '--sign') {
+      opts.sign = true;
+      continue;
+    }
+
     if (arg === '--delay-ms') {
       const v = argv[i + 1];
       opts.delayMs = v ? Number(v) : opts.delayMs;
@@ -65,6 +75,17 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === '--batch') {
+      opts.batch = true;
+      continue;
+    }
+
+    if (arg === '--all-or-nothing') {
+      opts.batch = true;
+      opts.batchMode = 'all_or_nothing';
+      continue;
+    }
+
     opts.files.push(arg);
   }
 
@@ -75,7 +96,22 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function requestJson({ url, token, payload }) {
+function authHeaders({ token, signingSecret, body }) {
+  if (!signingSecret) {
+    return { authorization: `Bearer ${token}` };
+  }
+
+  // HMAC over "<timestamp>.<body>" instead of sending the token
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto
+    .createHmac('sha256', signingSecret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return { 'x-timestamp': timestamp, 'x-signature': `sha256=${signature}` };
+}
+
+function requestJson({ url, token, signingSecret, payload }) {
   return new Promise((resolve, reject) => {
     const u = new URL(url);
     const isHttps = u.protocol === 'https:';
@@ -93,7 +129,7 @@ function requestJson({ url, token, payload }) {
         headers: {
           'content-type': 'application/json; charset=utf-8',
           'content-length': Buffer.byteLength(body),
-          authorization: `Bearer ${token}`,
+          ...authHeaders({ token, signingSecret, body }),
         },
       },
       (res) => {
@@ -146,6 +182,50 @@ async function loadJson(filePath) {
   }
 }
 
+async function sendBatch(opts, files) {
+  const endpoint = new URL(`/ingest/batch?mode=${opts.batchMode}`, opts.baseUrl).toString();
+
+  console.log(`Base URL: ${opts.baseUrl}`);
+  console.log(`Endpoint: ${endpoint}`);
+  console.log(`Files: ${files.map((f) => path.basename(f)).join(', ')}`);
+  console.log(`Dry run: ${opts.dryRun ? 'true' : 'false'}`);
+
+  const payload = [];
+  for (const filePath of files) {
+    payload.push(await loadJson(filePath));
+  }
+
+  if (opts.dryRun) {
+    console.log(`Batch of ${payload.length} items: OK (dry-run)`);
+    return;
+  }
+
+  try {
+    const res = await requestJson({ url: endpoint, token: opts.token, signingSecret: opts.sign ? opts.signingSecret : '', payload });
+    const results = res.bodyJson?.results || [];
+
+    for (const r of results) {
+      const name = path.basename(files[r.index]);
+      const detail = r.id ? `id=${r.id}` : `code=${r.code}`;
+      console.log(`[${r.index + 1}/${files.length}] ${name}: ${r.status.toUpperCase()} (${detail})`);
+    }
+
+    const failed = res.bodyJson?.failed || 0;
+    console.log(`Done. Created: ${res.bodyJson?.created || 0}. Duplicates: ${res.bodyJson?.duplicates || 0}. Failed: ${failed}.`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error(`Batch FAILED${err.statusCode ? ` status=${err.statusCode}` : ''}`);
+    if (err.responseJson) {
+      console.error(JSON.stringify(err.responseJson, null, 2));
+    } else if (err.message) {
+      console.error(err.message);
+    }
+    process.exitCode = 1;
+  }
+}
+
 async function main() {
   const opts = parseArgs(process.argv);
 
@@ -166,12 +246,23 @@ async function main() {
     return;
   }
 
-  if (!opts.token && !opts.dryRun) {
+  if (opts.sign && !opts.signingSecret && !opts.dryRun) {
+    console.error('Missing INGEST_SIGNING_SECRET (env) for --sign');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!opts.sign && !opts.token && !opts.dryRun) {
     console.error('Missing INGEST_TOKEN (env) or --token');
     process.exitCode = 1;
     return;
   }
 
+  if (opts.batch) {
+    await sendBatch(opts, files);
+    return;
+  }
+
   const endpoint = new URL('/ingest/text', opts.baseUrl).toString();
 
   console.log(`Base URL: ${opts.baseUrl}`);
@@ -195,7 +286,7 @@ async function main() {
         console.log(`[${idx + 1}/${files.length}] ${name}: OK (dry-run)`);
         successCount += 1;
       } else {
-        const res = await requestJson({ url: endpoint, token: opts.token, payload });
+        const res = await requestJson({ url: endpoint, token: opts.token, signingSecret: opts.sign ? opts.signingSecret : '', payload });
         const id = res.bodyJson && typeof res.bodyJson === 'object' ? res.bodyJson.id : null;
         console.log(`[${idx + 1}/${files.length}] ${name}: OK (status=${res.statusCode}${id ? `, id=${id}` : ''})`);
         successCount += 1;
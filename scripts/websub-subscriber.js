@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Local WebSub subscriber stub for testing the hub
+ *
+ * Subscribes its callback to a topic on start, answers the intent verification,
+ * checks X-Hub-Signature on every push and prints what it received.
+ *
+ *   GET /callback    echoes hub.challenge (intent verification)
+ *   POST /callback   content push, verified with --secret
+ *
+ * Usage: node scripts/websub-subscriber.js [--topic URL] [--hub URL] [--secret S] [--port 4700] [--callback URL] [--fail]
+ *   --callback public URL that reaches this port (e.g. a tunnel); the hub refuses localhost callbacks
+ *   --fail answers pushes with 500 to exercise the hub's retries
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import process from 'node:process';
+import { config as dotenvConfig } from 'dotenv';
+
+dotenvConfig();
+
+function arg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : fallback;
+}
+
+const appUrl = (process.env.BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+const port = Number(arg('port', process.env.SUBSCRIBER_PORT || 4700));
+const hub = arg('hub', `${appUrl}/websub`);
+const topic = arg('topic', `${appUrl}/rss.xml`);
+const secret = arg('secret', 'websub-test-secret');
+const fail = process.argv.includes('--fail');
+const callback = arg('callback', `http://localhost:${port}/callback`);
+
+function verifySignature(header, body) {
+  const [algorithm, provided] = String(header || '').split('=');
+  if (!provided || !['sha1', 'sha256', 'sha384', 'sha512'].includes(algorithm)) {
+    return false;
+  }
+
+  const expected = crypto.createHmac(algorithm, secret).update(body).digest('hex');
+  return provided.length === expected.length && crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+
+  if (url.pathname !== '/callback') {
+    res.writeHead(404);
+    return res.end('Not found');
+  }
+
+  if (req.method === 'GET') {
+    console.log(`Verification: ${url.searchParams.get('hub.mode')} ${url.searchParams.get('hub.topic')} lease=${url.searchParams.get('hub.lease_seconds')}`);
+    res.writeHead(200, { 'content-type': 'text/plain' });
+    return res.end(url.searchParams.get('hub.challenge') || '');
+  }
+
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks);
+    const valid = verifySignature(req.headers['x-hub-signature'], body);
+
+    console.log(`Push: ${req.headers['content-type']}, ${body.length} bytes, signature ${valid ? 'valid' : 'INVALID'}`);
+    console.log(`  Link: ${req.headers.link}`);
+
+    res.writeHead(fail ? 500 : valid ? 200 : 403);
+    res.end();
+  });
+});
+
+server.listen(port, async () => {
+  console.log(`Subscriber callback on ${callback}`);
+
+  const response = await fetch(hub, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      'hub.mode': 'subscribe',
+      'hub.topic': topic,
+      'hub.callback': callback,
+      'hub.secret': secret,
+    }),
+  });
+
+  console.log(`Subscribe ${topic} at ${hub}: HTTP ${response.status} ${await response.text()}`);
+});
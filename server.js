@@ -17,6 +17,10 @@ import config from './config/index.js';
 import { initDb } from './db/index.js';
 import { initDefaultAdmin } from './lib/users.js';
 import { startAutoPublishWorker, stopAutoPublishWorker } from './lib/auto-publish-worker.js';
+import { startWebhookWorker, stopWebhookWorker } from './lib/webhooks.js';
+import { startWebSubWorker, stopWebSubWorker } from './lib/websub.js';
+import { startTrashPurgeWorker, stopTrashPurgeWorker } from './lib/trash.js';
+import { startFeedPoller, stopFeedPoller } from './lib/feedPoller.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -31,14 +35,23 @@ import ingestRoutes from './routes/ingest.js';
 import adminAuthRoutes from './routes/admin/auth.js';
 import adminPostsRoutes from './routes/admin/posts.js';
 import adminMediaRoutes from './routes/admin/media.js';
+import adminRevisionsRoutes from './routes/admin/revisions.js';
+import adminCommentsRoutes from './routes/admin/comments.js';
 import adminPublishRoutes from './routes/admin/publish.js';
+import adminBulkRoutes from './routes/admin/bulk.js';
+import adminTrashRoutes from './routes/admin/trash.js';
 import adminAuditRoutes from './routes/admin/audit.js';
 import adminAiGenerateRoutes from './routes/admin/ai-generate.js';
 import adminFotoRoutes from './routes/admin/foto.js';
 import adminUsersRoutes from './routes/admin/users.js';
 import magicLoginRoutes from './routes/admin/magic-login.js';
 import autoPublishRoutes from './routes/admin/auto-publish.js';
+import adminWebhooksRoutes from './routes/admin/webhooks.js';
+import adminFeedsRoutes from './routes/admin/feeds.js';
+import adminFeedSettingsRoutes from './routes/admin/feed-settings.js';
 import rssRoutes from './routes/rss.js';
+import publicRoutes from './routes/public.js';
+import websubRoutes from './routes/websub.js';
 
 // Ensure uploads directory exists
 if (!existsSync(config.uploads.dir)) {
@@ -141,26 +154,27 @@ await fastify.register(healthzRoutes);
 await fastify.register(ingestRoutes);
 // Register RSS before admin routes so decorators are available
 await fastify.register(rssRoutes);
+await fastify.register(publicRoutes);
+await fastify.register(websubRoutes);
 await fastify.register(adminAuthRoutes);
 await fastify.register(adminPostsRoutes);
 await fastify.register(adminMediaRoutes);
+await fastify.register(adminRevisionsRoutes);
+await fastify.register(adminCommentsRoutes);
 await fastify.register(adminPublishRoutes);
+await fastify.register(adminBulkRoutes);
+await fastify.register(adminTrashRoutes);
 await fastify.register(adminAuditRoutes);
 await fastify.register(adminAiGenerateRoutes);
 await fastify.register(adminFotoRoutes);
 await fastify.register(adminUsersRoutes);
 await fastify.register(magicLoginRoutes);
 await fastify.register(autoPublishRoutes);
+await fastify.register(adminWebhooksRoutes);
+await fastify.register(adminFeedsRoutes);
+await fastify.register(adminFeedSettingsRoutes);
 
-// Root redirects
-fastify.get('/', async (request, reply) => {
-  if (request.session && request.session.userId) {
-    return reply.redirect('/admin/posts');
-  }
-
-  return reply.redirect('/admin/login');
-});
-
+// Admin root redirect, / is the public index (routes/public.js)
 fastify.get('/admin', async (request, reply) => {
   if (request.session && request.session.userId) {
     return reply.redirect('/admin/posts');
@@ -212,6 +226,22 @@ const start = async () => {
 
     // Start auto-publish worker (checks every 60 seconds)
     startAutoPublishWorker(fastify, 60000);
+
+    // Purge posts that have been in the trash longer than the retention period
+    startTrashPurgeWorker(fastify, config.trash.purgeIntervalMs);
+
+    // Deliver queued webhook events
+    startWebhookWorker(fastify, config.webhooks.pollIntervalMs);
+
+    // Push updated feeds to WebSub subscribers
+    if (config.websub.enabled) {
+      startWebSubWorker(fastify, config.websub.pollIntervalMs);
+    }
+
+    // Poll RSS/Atom feed sources that are due
+    if (config.feeds.pollerEnabled) {
+      startFeedPoller(fastify, config.feeds.tickMs);
+    }
   } catch (err) {
     fastify.log.error(err);
     process.exit(1);
@@ -222,6 +252,10 @@ const start = async () => {
 const shutdown = async (signal) => {
   fastify.log.info(`Received ${signal}, closing server...`);
   stopAutoPublishWorker();
+  stopWebhookWorker();
+  stopWebSubWorker();
+  stopTrashPurgeWorker();
+  stopFeedPoller();
   await fastify.close();
   process.exit(0);
 };